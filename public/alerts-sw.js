@@ -0,0 +1,17 @@
+// Service worker for alert notifications: the dashboard shows them through
+// this registration, and a click brings the dashboard (alerts tab) to front.
+
+self.addEventListener('install', () => self.skipWaiting())
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()))
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    const scope = self.registration.scope
+    const client = windows.find(c => c.url.startsWith(scope))
+    if (client) return client.focus()
+    return self.clients.openWindow(`${scope}alerts`)
+  })())
+})
@@ -1,8 +1,41 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
-import { Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { Routes, Route, Navigate, useNavigate, useLocation, useSearchParams } from 'react-router-dom'
 import { createChart, CandlestickSeries, createTextWatermark, createSeriesMarkers } from 'lightweight-charts'
-import { ResponsiveContainer, LineChart, Line, Tooltip } from 'recharts'
+import {
+  ResponsiveContainer, LineChart, Line, AreaChart, Area, BarChart, Bar, ComposedChart, Cell, ScatterChart, Scatter, ReferenceLine, XAxis, YAxis, CartesianGrid, Tooltip,
+} from 'recharts'
 import { auth, provider } from './firebase'
+import { createApiClient } from './api'
+import { can, resolveRole } from './access'
+import { useLiveFeed } from './useLiveFeed'
+import { INDICATORS, defaultIndicatorSettings } from './indicators'
+import { COMPARE_COLORS, addCompareLines, attachDraggableLines, attachNewsMarkers, attachSessionBoxes, createIndicatorLayer } from './chartOverlays'
+import { DEFAULT_SESSIONS, sessionRanges, sessionStatus } from './sessions'
+import { JOURNAL_EXPORT_PAGE_SIZE, JOURNAL_PAGE_SIZE, JOURNAL_SORTS, journalEndpoint, journalSearchParams, normalizeJournalResponse, readJournalQuery } from './journal'
+import {
+  EXPORT_FORMATS, LOG_EXPORT_COLUMNS, NEWS_HISTORY_EXPORT_COLUMNS, STATS_EXPORT_COLUMNS, TRADE_EXPORT_COLUMNS, exportRows,
+} from './exporters'
+import { WEEKDAY_LABELS, calendarHeatmap, closedTrades, computeAnalytics, pnlBreakdowns, tradeKey } from './analytics'
+import { FILTER_LABELS, auditRejections, canSimulate, isRejected, simulateSignal } from './filtersAudit'
+import { calibration, gptCalls, searchCalls } from './gptCalibration'
+import { configDiff, defaultValue, fieldLabel, formatConfigValue, resolveSchema, setPath, validateConfig } from './strategyConfig'
+import { AUDIT_ACTIONS, UNDO_TOAST_MS, formatAuditValue, isRestorable, restoredTargets, tradeSummary } from './audit'
+import {
+  ALERTS_POLL_MS, ALERT_HISTORY_LIMIT, ALERT_OPERATORS, ALERT_TYPES, CLOSE_REASON_ATTEMPTS, closeReason, describeRule, evaluateRules, goneTrades, isStopLossClose, newRule,
+  notificationsSupported, notify, positionsSnapshot, registerAlertWorker, requestNotificationPermission, totalUnrealized, validateRule,
+} from './alerts'
+import {
+  NEWS_IMPACT_COLORS, activeStrategyInstruments, calendarWeek, chartNewsMarkers, filterNewsEvents, formatSurprise, newsTooltipContent, surpriseTone, weekOf,
+} from './news'
+import { REACTION_WINDOWS, newsReleases, priceReaction, summarizeReleases } from './newsAnalytics'
+import { TIME_ZONES, chartTimeOptions, dayInTimeZone, formatDate, formatDayLabel, storeTimeZone, storedTimeZone } from './timeZone'
+import {
+  DEFAULT_NEWS_ALERT_SETTINGS, NEWS_ALERT_CHECK_MS, NEWS_CALENDAR_REFRESH_MS, NEWS_IMPACTS, dueNewsEvents, exposedTrades, newsAlertMessage, newsEventKey,
+} from './newsAlerts'
+import { ORDER_TYPES, conversionSymbols, pipSize, quoteCurrency, quoteToChf, sizePosition, validateTicket } from './orderTicket'
+import { STATS_RANGES, cumulativeHistory, overlayCumulative, rangeBounds, strategyStatsInRange, tradesInRange } from './statsRange'
+import { REPLAY_LEAD_BARS, REPLAY_SPEEDS, advanceReplay, createReplayLayer, toSeconds } from './replay'
+import { TIMEFRAMES, aggregateBars, bucketStart, candlesEndpoint, findTimeframe, mergeBar, shiftDay, toChartBars } from './candles'
 import { onAuthStateChanged, signInWithPopup, signOut } from 'firebase/auth'
 import './App.css'
 
@@ -11,10 +44,16 @@ const emptyPanel = { data: null, loading: false, error: null }
 const tabs = [
   { key: 'account', label: 'Compte', icon: '\u{1F4B0}' },
   { key: 'positions', label: 'Positions', icon: '\u{1F4CA}' },
+  { key: 'journal', label: 'Journal', icon: '\u{1F4D2}' },
   { key: 'strategies', label: 'Stratégies', icon: '\u{2699}\u{FE0F}' },
   { key: 'news', label: 'News', icon: '\u{1F4C5}' },
   { key: 'logs', label: 'Logs', icon: '\u{1F4DD}' },
   { key: 'stats', label: 'Stats', icon: '\u{1F4CA}' },
+  { key: 'filters', label: 'Filtres', icon: '\u{1F6A6}' },
+  { key: 'gpt', label: 'GPT', icon: '\u{1F916}' },
+  { key: 'reactions', label: 'Réactions news', icon: '\u{1F4C8}' },
+  { key: 'audit', label: 'Audit', icon: '\u{1F50D}' },
+  { key: 'alerts', label: 'Alertes', icon: '\u{1F514}' },
 ]
 
 const LOG_LEVELS = ['', 'TRADING', 'OANDA', 'INFO', 'ERROR', 'NO_TRADING']
@@ -33,9 +72,233 @@ const INSTRUMENTS = [
   { sym: 'USD_CAD', label: 'USD/CAD', source: 'oanda', decimals: 5 },
 ]
 
+const POSITIONS_POLL_MS = 5000
+const CANDLES_POLL_MS = 10000
+const REPLAY_TICK_MS = 800
+const SESSION_CLOCK_MS = 30000
+const ANALYTICS_EVENTS_BATCH = 5
+const QUOTE_MAX_AGE_S = 180
+const GPT_ARCHIVE_LIMIT = 100
+const FEED_STATUS_LABELS = {
+  idle: 'Inactif',
+  connecting: 'Connexion...',
+  live: 'Live',
+  polling: 'Polling',
+  error: 'Reconnexion...',
+  paused: 'En pause',
+}
+
 const PRICE_DECIMALS = { SPX500_USD: 1, NAS100_USD: 1, US30_USD: 1, USD_JPY: 3, EUR_JPY: 3, GBP_JPY: 3 }
 const priceDec = (instrument) => PRICE_DECIMALS[instrument] ?? 5
 
+// Replays a short highlight whenever the value moves, green up / red down.
+function FlashValue({ value, className = '', children }) {
+  const [prev, setPrev] = useState(value)
+  const [dir, setDir] = useState('')
+  if (value !== prev) {
+    setPrev(value)
+    setDir(value > prev ? 'up' : 'down')
+  }
+  return <span key={value} className={`${className} ${dir ? `flash-${dir}` : ''}`}>{children}</span>
+}
+
+function FeedStatus({ status, lastUpdate, timeZone }) {
+  return (
+    <span className={`feed-status ${status}`}>
+      <span className="feed-dot" />
+      {FEED_STATUS_LABELS[status]}
+      {lastUpdate && (
+        <span className="feed-updated">
+          · Mis à jour {formatDate(lastUpdate, timeZone, 'timeSeconds')}
+        </span>
+      )}
+    </span>
+  )
+}
+
+// One input per JSON Schema node; objects and arrays recurse.
+function SchemaField({ name, schema, root, path, value, errors, onChange, disabled }) {
+  const s = resolveSchema(schema, root)
+  const label = fieldLabel(name, s)
+  const error = errors[path]
+
+  if (s.type === 'object') {
+    return (
+      <fieldset className="config-group">
+        <legend>{label}</legend>
+        {s.description && <p className="config-hint">{s.description}</p>}
+        {Object.entries(s.properties || {}).map(([key, prop]) => (
+          <SchemaField
+            key={key}
+            name={key}
+            schema={prop}
+            root={root}
+            path={path ? `${path}.${key}` : key}
+            value={value?.[key]}
+            errors={errors}
+            onChange={onChange}
+            disabled={disabled}
+          />
+        ))}
+      </fieldset>
+    )
+  }
+
+  let input
+  if (s.type === 'array') {
+    const items = resolveSchema(s.items, root)
+    const list = Array.isArray(value) ? value : []
+    input = items.enum ? (
+      <div className="level-chips">
+        {items.enum.map(opt => (
+          <button
+            key={opt}
+            type="button"
+            className={`chip ${list.includes(opt) ? 'active' : ''}`}
+            disabled={disabled}
+            onClick={() => onChange(path, list.includes(opt) ? list.filter(v => v !== opt) : [...list, opt])}
+          >
+            {opt}
+          </button>
+        ))}
+      </div>
+    ) : (
+      <div className="config-array">
+        {list.map((item, i) => (
+          <div key={i} className="config-array-row">
+            <SchemaField name={`#${i + 1}`} schema={{ ...s.items, title: `#${i + 1}` }} root={root} path={`${path}.${i}`} value={item} errors={errors} onChange={onChange} disabled={disabled} />
+            <button type="button" className="btn-ghost" disabled={disabled} onClick={() => onChange(path, list.filter((_, j) => j !== i))}>✕</button>
+          </div>
+        ))}
+        <button type="button" className="btn-ghost" disabled={disabled} onClick={() => onChange(path, [...list, defaultValue(s.items, root)])}>+ Ajouter</button>
+      </div>
+    )
+  } else if (s.type === 'boolean') {
+    input = <input type="checkbox" checked={Boolean(value)} disabled={disabled} onChange={e => onChange(path, e.target.checked)} />
+  } else if (s.enum) {
+    input = (
+      <select value={value ?? ''} disabled={disabled} onChange={e => onChange(path, e.target.value === '' ? null : e.target.value)}>
+        {(s.nullable || value == null) && <option value="">—</option>}
+        {s.enum.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+      </select>
+    )
+  } else if (s.type === 'number' || s.type === 'integer') {
+    input = (
+      <input
+        type="number"
+        step={s.type === 'integer' ? 1 : 'any'}
+        min={s.minimum}
+        max={s.maximum}
+        value={value ?? ''}
+        disabled={disabled}
+        placeholder={s.nullable ? 'Par défaut' : undefined}
+        onChange={e => onChange(path, e.target.value === '' ? null : Number(e.target.value))}
+      />
+    )
+  } else {
+    input = (
+      <input
+        type={s.format === 'time' ? 'time' : 'text'}
+        value={value ?? ''}
+        disabled={disabled}
+        onChange={e => onChange(path, e.target.value === '' && s.nullable ? null : e.target.value)}
+      />
+    )
+  }
+
+  return (
+    <div className={`config-field ${error ? 'invalid' : ''}`}>
+      <label>{label}</label>
+      {input}
+      {s.description && <span className="config-hint">{s.description}</span>}
+      {error && <span className="config-error">{error}</span>}
+    </div>
+  )
+}
+
+// Orders of an open position that can be cancelled on their own
+const REMOVABLE_ORDERS = {
+  sl: { field: 'sl', order: 'stopLossOrder', label: 'SL', consequence: "la position n'a plus aucune protection" },
+  tp: { field: 'tp', order: 'takeProfitOrder', label: 'TP', consequence: "la position ne se clôture plus d'elle-même en gain" },
+}
+
+const ACTION_STATUS_LABELS = { pending: 'En attente', running: 'En cours...', ok: 'OK', error: 'Erreur' }
+
+// Destructive actions only run once the exact phrase has been typed; each
+// item then reports its own status.
+function ConfirmActionDialog({ action, blocked = false, onRun, onClose, children }) {
+  const [typed, setTyped] = useState('')
+  const started = action.running || action.done
+  return (
+    <div className="modal-backdrop" onClick={() => !action.running && onClose()}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>{action.title}</h2>
+        {action.description && <p className="muted">{action.description}</p>}
+        {children}
+        {action.error && <p className="error">{action.error}</p>}
+        {action.loading ? (
+          <p className="muted">Chargement...</p>
+        ) : action.items.length > 0 ? (
+          <ul className="action-items">
+            {action.items.map(item => (
+              <li key={item.key} className={`action-item ${item.status}`}>
+                <span>{item.label}</span>
+                <span className="action-status">{ACTION_STATUS_LABELS[item.status]}{item.message ? ` · ${item.message}` : ''}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          !action.error && <p className="muted">Rien à faire.</p>
+        )}
+        {!started && action.items.length > 0 && (
+          <div className="control-group">
+            <label>Taper <strong>{action.phrase}</strong> pour confirmer</label>
+            <input value={typed} autoFocus onChange={e => setTyped(e.target.value)} />
+          </div>
+        )}
+        <div className="trade-actions">
+          <button className="btn-ghost" onClick={onClose} disabled={action.running}>
+            {action.done ? 'Fermer' : 'Annuler'}
+          </button>
+          {!started && action.items.length > 0 && (
+            <button className="btn-danger-sm" onClick={onRun} disabled={blocked || typed.trim() !== action.phrase}>
+              {action.confirmLabel}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Format buttons; dates are written in the dashboard's display time zone.
+function ExportMenu({ onExport, disabled, timeZone }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const run = async (format) => {
+    setBusy(true)
+    setError('')
+    try {
+      await onExport(format, timeZone)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="export-menu">
+      <span className="export-label" title={`Dates en ${timeZone}`}>Exporter</span>
+      {EXPORT_FORMATS.map(f => (
+        <button key={f.key} className="chip" disabled={disabled || busy} onClick={() => run(f.key)}>{f.label}</button>
+      ))}
+      {error && <span className="error">{error}</span>}
+    </div>
+  )
+}
+
 function App() {
   const navigate = useNavigate()
   const location = useLocation()
@@ -43,50 +306,116 @@ function App() {
 
   const [apiBase, setApiBase] = useState(defaultApiBase)
   const [user, setUser] = useState(null)
+  const [timeZone, setTimeZone] = useState(storedTimeZone)
+  const [role, setRole] = useState(null)
   const [authError, setAuthError] = useState('')
+  const [auditWriteError, setAuditWriteError] = useState('')
 
   const [strategies, setStrategies] = useState(emptyPanel)
   const [balance, setBalance] = useState(emptyPanel)
   const [logs, setLogs] = useState(emptyPanel)
+  const [auditLog, setAuditLog] = useState(emptyPanel)
+  const [auditAction, setAuditAction] = useState('')
+  const [undoDelete, setUndoDelete] = useState(null)
+  const [pendingAction, setPendingAction] = useState(null)
+  const [ticket, setTicket] = useState(null)
+  const [ticketPrices, setTicketPrices] = useState({ data: {}, times: {}, loading: false, error: null })
+  const [alertRules, setAlertRules] = useState({ data: [], saved: [], loading: false, saving: false, error: null })
+  const [alertHistory, setAlertHistory] = useState([])
+  const [newsAlertSettings, setNewsAlertSettings] = useState(DEFAULT_NEWS_ALERT_SETTINGS)
+  const [notifyPermission, setNotifyPermission] = useState(() => (notificationsSupported() ? Notification.permission : 'unsupported'))
   const [trades, setTrades] = useState(emptyPanel)
   const [positions, setPositions] = useState(emptyPanel)
   const [openingRange, setOpeningRange] = useState(emptyPanel)
   const [candles, setCandles] = useState(emptyPanel)
+  const [compareCandles, setCompareCandles] = useState(emptyPanel)
   const [stats, setStats] = useState(emptyPanel)
+  const [statsRange, setStatsRange] = useState({ preset: 'all', from: '', to: '' })
+  const [compareStrategies, setCompareStrategies] = useState([])
+  const [analyticsStrategy, setAnalyticsStrategy] = useState('')
+  const [strategyEditor, setStrategyEditor] = useState(null)
+  const [analyticsEvents, setAnalyticsEvents] = useState({ data: {}, loading: false })
+  const [filterSims, setFilterSims] = useState({ data: {}, failed: {}, loading: false, error: null })
+  const [gptSearch, setGptSearch] = useState('')
   const [newsEvents, setNewsEvents] = useState(emptyPanel)
   const [newsHistory, setNewsHistory] = useState(emptyPanel)
+  const [newsWeek, setNewsWeek] = useState({ offset: 0, data: null, loading: false, error: null })
+  const [chartNewsWeeks, setChartNewsWeeks] = useState({})
+  const [newsReactions, setNewsReactions] = useState({ data: {}, failed: {}, loading: false, error: null })
+  const [reactionTitle, setReactionTitle] = useState('')
+  const [newsFilters, setNewsFilters] = useState({ countries: [], impacts: [], instrument: '', activeOnly: false })
+  const [strategyConfigs, setStrategyConfigs] = useState(emptyPanel)
 
   const [logParams, setLogParams] = useState({ limit: 50, level: '', contains: '', tag: '', trade_id: '', date: '' })
   const [logTags, setLogTags] = useState([])
   const [candlesDay, setCandlesDay] = useState(() => new Date().toISOString().slice(0, 10))
   const [instrument, setInstrument] = useState('SPX')
+  const [timeframe, setTimeframe] = useState('M5')
+  const [compareSyms, setCompareSyms] = useState([])
+  const [replay, setReplay] = useState(null)
+  const [indicatorSettings, setIndicatorSettings] = useState(defaultIndicatorSettings)
+  const [sessionConfig, setSessionConfig] = useState(DEFAULT_SESSIONS)
   const [expandedTradeId, setExpandedTradeId] = useState(null)
   const [tradeEvents, setTradeEvents] = useState({ data: null, loading: false })
-  const [tradeFilterInstrument, setTradeFilterInstrument] = useState('')
-  const [tradeFilterDate, setTradeFilterDate] = useState('')
+  const [journal, setJournal] = useState(emptyPanel)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const journalQuery = useMemo(() => readJournalQuery(searchParams), [searchParams])
   const [riskChf, setRiskChf] = useState({ value: 50, saving: false, loaded: false })
   const [riskUsdCrypto, setRiskUsdCrypto] = useState({ value: 50, saving: false, loaded: false })
 
   const chartContainerRef = useRef(null)
+  const liveChartRef = useRef(null)
+  const replayCursorRef = useRef(null)
+  const ticketLinesRef = useRef({})
+  const alertSnapshotRef = useRef(null)
+  const livePricesRef = useRef({})
+  const alertFiredRef = useRef({})
+  const newsEventsRef = useRef([])
+  const newsMarkersRef = useRef([])
+  const indicatorSettingsRef = useRef(indicatorSettings)
+
+  const fmtDate = (value, style) => formatDate(value, timeZone, style)
+
+  const changeTimeZone = (tz) => {
+    storeTimeZone(tz)
+    setTimeZone(tz)
+  }
 
   const apiPrefix = useMemo(() => apiBase.replace(/\/$/, ''), [apiBase])
 
-  const fetchJson = async (endpoint, options = {}) => {
-    const url = `${apiPrefix}${endpoint}`
-    const resp = await fetch(url, {
-      headers: { 'Content-Type': 'application/json' },
-      ...options,
-    })
-    const data = await resp.json().catch(() => ({}))
-    const tupleStatus = Array.isArray(data) && typeof data[data.length - 1] === 'number' ? data[data.length - 1] : null
-    if (!resp.ok || (tupleStatus && tupleStatus >= 400)) {
-      const payload = Array.isArray(data) ? data[0] : data
-      const message = payload?.error || payload?.message || resp.statusText || `HTTP ${tupleStatus}`
-      throw new Error(message || 'Erreur API')
+  const api = useMemo(() => createApiClient({
+    baseUrl: apiPrefix,
+    onUnauthorized: () => {
+      setAuthError('Session expirée, reconnectez-vous.')
+      signOut(auth)
+    },
+  }), [apiPrefix])
+  const fetchJson = api.fetchJson
+
+  // The action itself already succeeded, so a failed audit write does not undo
+  // it: it is reported to the user instead. The backend stamps the entry with
+  // the authenticated user and its own time.
+  const recordAudit = async (action, target, before, after) => {
+    try {
+      await fetchJson('/api/audit', {
+        method: 'POST',
+        body: JSON.stringify({ action, target, before, after }),
+      })
+    } catch (err) {
+      setAuditWriteError(`${AUDIT_ACTIONS[action] || action} (${target}) effectué mais non journalisé : ${err.message}`)
     }
-    return data
   }
 
+  const loadAudit = useCallback(async () => {
+    setAuditLog((p) => ({ ...p, loading: true, error: null }))
+    try {
+      const data = await fetchJson('/api/audit?limit=500')
+      setAuditLog({ data: Array.isArray(data) ? data : data?.items || [], loading: false, error: null })
+    } catch (err) {
+      setAuditLog({ data: null, loading: false, error: err.message })
+    }
+  }, [fetchJson])
+
   const loadStrategies = async () => {
     setStrategies((p) => ({ ...p, loading: true, error: null }))
     try {
@@ -98,24 +427,71 @@ function App() {
   }
 
   const toggleStrategy = async (name) => {
-    if (!name) return
+    if (!name || !can(role, 'toggleStrategy')) return
     setStrategies((p) => ({ ...p, loading: true, error: null }))
     try {
+      const before = strategies.data?.[name]
       await fetchJson('/api/strategy/toggle', {
         method: 'POST',
         body: JSON.stringify({ strategy: name }),
       })
+      recordAudit('strategy_toggle', name, before ?? null, before == null ? null : !before)
       await loadStrategies()
     } catch (err) {
       setStrategies((p) => ({ ...p, loading: false, error: err.message }))
     }
   }
 
+  const openStrategyEditor = async (name) => {
+    setStrategyEditor({ name, loading: true, error: null })
+    try {
+      const data = await fetchJson(`/api/strategy/${encodeURIComponent(name)}/config`)
+      const values = { ...defaultValue(data.schema, data.schema), ...(data.values ?? data.config) }
+      setStrategyEditor({ name, schema: data.schema, original: values, values, errors: {}, diff: null, loading: false, saving: false, error: null })
+    } catch (err) {
+      setStrategyEditor({ name, loading: false, error: err.message })
+    }
+  }
+
+  const updateStrategyField = (path, value) =>
+    setStrategyEditor((p) => {
+      const values = setPath(p.values, path, value)
+      return { ...p, values, errors: validateConfig(p.schema, values), diff: null }
+    })
+
+  // Validation first; the diff is only shown once the form is valid
+  const reviewStrategyConfig = () =>
+    setStrategyEditor((p) => {
+      const errors = validateConfig(p.schema, p.values)
+      return { ...p, errors, diff: Object.keys(errors).length ? null : configDiff(p.original, p.values) }
+    })
+
+  const saveStrategyConfig = async () => {
+    const editor = strategyEditor
+    if (!editor?.diff?.length || !can(role, 'editStrategyConfig')) return
+    setStrategyEditor((p) => ({ ...p, saving: true, error: null }))
+    try {
+      await fetchJson(`/api/strategy/${encodeURIComponent(editor.name)}/config`, {
+        method: 'PUT',
+        body: JSON.stringify(editor.values),
+      })
+      recordAudit(
+        'strategy_config',
+        editor.name,
+        Object.fromEntries(editor.diff.map(d => [d.path, d.before])),
+        Object.fromEntries(editor.diff.map(d => [d.path, d.after])),
+      )
+      setStrategyEditor((p) => ({ ...p, original: editor.values, diff: null, saving: false }))
+    } catch (err) {
+      setStrategyEditor((p) => ({ ...p, saving: false, error: err.message }))
+    }
+  }
+
   const loadRisk = async () => {
     try {
       const data = await fetchJson('/api/config/risk')
-      setRiskChf((p) => ({ ...p, value: data.risk_chf, loaded: true }))
-      setRiskUsdCrypto((p) => ({ ...p, value: data.risk_usd_crypto || 50, loaded: true }))
+      setRiskChf((p) => ({ ...p, value: data.risk_chf, saved: data.risk_chf, loaded: true }))
+      setRiskUsdCrypto((p) => ({ ...p, value: data.risk_usd_crypto || 50, saved: data.risk_usd_crypto || 50, loaded: true }))
     } catch {
       // keep default
     }
@@ -123,14 +499,15 @@ function App() {
 
   const saveRisk = async (val) => {
     const num = Number(val)
-    if (!num || num <= 0) return
+    if (!num || num <= 0 || !can(role, 'saveRisk')) return
     setRiskChf((p) => ({ ...p, saving: true }))
     try {
       await fetchJson('/api/config/risk', {
         method: 'PUT',
         body: JSON.stringify({ risk_chf: num }),
       })
-      setRiskChf({ value: num, saving: false, loaded: true })
+      recordAudit('risk_change', 'risk_chf', riskChf.saved ?? null, num)
+      setRiskChf({ value: num, saved: num, saving: false, loaded: true })
     } catch {
       setRiskChf((p) => ({ ...p, saving: false }))
     }
@@ -138,14 +515,15 @@ function App() {
 
   const saveRiskCrypto = async (val) => {
     const num = Number(val)
-    if (!num || num <= 0) return
+    if (!num || num <= 0 || !can(role, 'saveRisk')) return
     setRiskUsdCrypto((p) => ({ ...p, saving: true }))
     try {
       await fetchJson('/api/config/risk', {
         method: 'PUT',
         body: JSON.stringify({ risk_usd_crypto: num }),
       })
-      setRiskUsdCrypto({ value: num, saving: false, loaded: true })
+      recordAudit('risk_change', 'risk_usd_crypto', riskUsdCrypto.saved ?? null, num)
+      setRiskUsdCrypto({ value: num, saved: num, saving: false, loaded: true })
     } catch {
       setRiskUsdCrypto((p) => ({ ...p, saving: false }))
     }
@@ -187,7 +565,7 @@ function App() {
     }
   }
 
-  const loadTrades = async () => {
+  const loadTrades = useCallback(async () => {
     setTrades((p) => ({ ...p, loading: true, error: null }))
     try {
       const data = await fetchJson('/api/trades')
@@ -195,20 +573,82 @@ function App() {
     } catch (err) {
       setTrades({ data: null, loading: false, error: err.message })
     }
+  }, [fetchJson])
+
+  const loadJournal = useCallback(async (query = journalQuery) => {
+    setJournal((p) => ({ ...p, loading: true, error: null }))
+    try {
+      const data = await fetchJson(journalEndpoint(query))
+      setJournal({ data: normalizeJournalResponse(data, query), loading: false, error: null })
+    } catch (err) {
+      setJournal({ data: null, loading: false, error: err.message })
+    }
+  }, [fetchJson, journalQuery])
+
+  // Walks every page of the current filters so the export is not limited to
+  // what is on screen
+  const exportJournal = async (format, timeZone) => {
+    const rows = []
+    for (let page = 1; ; page += 1) {
+      const query = { ...journalQuery, page }
+      const data = normalizeJournalResponse(await fetchJson(journalEndpoint(query, JOURNAL_EXPORT_PAGE_SIZE)), query, JOURNAL_EXPORT_PAGE_SIZE)
+      rows.push(...data.items)
+      if (data.items.length === 0 || rows.length >= data.total) break
+    }
+    await exportRows({ name: 'trades', columns: TRADE_EXPORT_COLUMNS, rows, format, timeZone })
   }
 
-  const deleteTrade = async (docPath) => {
-    if (!docPath || !confirm('Supprimer ce trade et ses évènements ?')) return
+  // Any filter or sort change goes back to the first page
+  const updateJournalQuery = ({ filters, ...patch }) => {
+    const next = { ...journalQuery, page: 1, ...patch, filters: { ...journalQuery.filters, ...filters } }
+    setSearchParams(journalSearchParams(next))
+  }
+
+  useEffect(() => {
+    if (user && activeTab === 'journal') loadJournal()
+  }, [user, activeTab, loadJournal])
+
+  // Soft delete: the backend keeps the trade until purge_at, so it can be
+  // restored from the toast or the Audit tab in the meantime.
+  const deleteTrade = async (t) => {
+    if (!t?.doc_path || !can(role, 'deleteTrade')) return
     try {
-      await fetchJson(`/api/trades?path=${encodeURIComponent(docPath)}`, { method: 'DELETE' })
+      const res = await fetchJson(`/api/trades?path=${encodeURIComponent(t.doc_path)}&soft=true`, { method: 'DELETE' })
+      recordAudit('trade_delete', t.doc_path, tradeSummary(t), { deleted_at: res?.deleted_at || new Date().toISOString(), purge_at: res?.purge_at || null })
+      setUndoDelete({ trade: t, expiresAt: Date.now() + UNDO_TOAST_MS })
       setExpandedTradeId(null)
       setTradeEvents({ data: null, loading: false })
-      loadTrades()
+      loadJournal()
+      if (trades.data) loadTrades()
     } catch (err) {
       alert(`Erreur: ${err.message}`)
     }
   }
 
+  const restoreTrade = async (docPath) => {
+    if (!docPath || !can(role, 'deleteTrade')) return
+    try {
+      await fetchJson('/api/trades/restore', { method: 'POST', body: JSON.stringify({ path: docPath }) })
+      await recordAudit('trade_restore', docPath, null, { restored_at: new Date().toISOString() })
+      setUndoDelete((p) => (p?.trade.doc_path === docPath ? null : p))
+      if (activeTab === 'journal') loadJournal()
+      if (activeTab === 'audit') loadAudit()
+      if (trades.data) loadTrades()
+    } catch (err) {
+      alert(`Erreur: ${err.message}`)
+    }
+  }
+
+  useEffect(() => {
+    if (!undoDelete) return
+    const id = setTimeout(() => setUndoDelete(null), undoDelete.expiresAt - Date.now())
+    return () => clearTimeout(id)
+  }, [undoDelete])
+
+  useEffect(() => {
+    if (user && activeTab === 'audit') loadAudit()
+  }, [user, activeTab, loadAudit])
+
   const toggleTradeEvents = async (oandaTradeId, docPath) => {
     if (expandedTradeId === oandaTradeId) {
       setExpandedTradeId(null)
@@ -226,6 +666,184 @@ function App() {
     }
   }
 
+  /* ─────────────── EMERGENCY ACTIONS ─────────────── */
+  const positionLabel = (t) => {
+    const units = parseFloat(t.currentUnits || t.initialUnits || 0)
+    return `${t.instrument} ${units >= 0 ? 'LONG' : 'SHORT'} ${Math.abs(units)} (#${t.id})`
+  }
+
+  // The strategy states are read again when the dialog opens: the cached list
+  // may be stale, and every strategy gets an explicit disable anyway.
+  const openKillSwitch = async () => {
+    const dialog = {
+      kind: 'kill',
+      title: 'Kill switch',
+      description: 'Désactive toutes les stratégies. Les positions ouvertes ne sont pas fermées.',
+      phrase: 'KILL',
+      confirmLabel: 'Tout désactiver',
+      items: [],
+    }
+    setPendingAction({ ...dialog, loading: true })
+    try {
+      const data = await fetchJson('/api/strategy/all')
+      setStrategies({ data, loading: false, error: null })
+      setPendingAction((p) => (p?.kind !== 'kill' ? p : {
+        ...dialog,
+        items: Object.entries(data || {}).map(([name, enabled]) => ({
+          key: name,
+          label: `${name} (${enabled ? 'active' : 'déjà inactive'})`,
+          status: 'pending',
+          before: Boolean(enabled),
+        })),
+      }))
+    } catch (err) {
+      setPendingAction((p) => (p?.kind !== 'kill' ? p : { ...dialog, error: `État des stratégies indisponible : ${err.message}` }))
+    }
+  }
+
+  const openCloseAll = () => {
+    const open = positions.data?.trades || []
+    setPendingAction({
+      kind: 'close',
+      title: 'Fermer toutes les positions',
+      description: 'Chaque position est fermée au marché, l\'une après l\'autre.',
+      phrase: 'FERMER TOUT',
+      confirmLabel: 'Fermer tout',
+      items: open.map(t => ({ key: t.id, label: positionLabel(t), status: 'pending', trade: t })),
+    })
+  }
+
+  const openClosePosition = (t) =>
+    setPendingAction({
+      kind: 'close',
+      title: `Fermer ${t.instrument}`,
+      description: 'La position est fermée au marché.',
+      phrase: t.instrument,
+      confirmLabel: 'Fermer',
+      items: [{ key: t.id, label: positionLabel(t), status: 'pending', trade: t }],
+    })
+
+  const openRemoveOrder = (t, key) => {
+    const { label, order, consequence } = REMOVABLE_ORDERS[key]
+    setPendingAction({
+      kind: 'remove_order',
+      order: key,
+      title: `Retirer le ${label} ${t.instrument}`,
+      description: `Le ${label} à ${t[order]?.price} est annulé : ${consequence}.`,
+      phrase: `SANS ${label}`,
+      confirmLabel: `Retirer le ${label}`,
+      items: [{ key: t.id, label: positionLabel(t), status: 'pending', trade: t }],
+    })
+  }
+
+  // Changed levels checked against the position's entry and direction; an
+  // empty or unchanged field keeps the current order and is not checked.
+  const modifyErrors = (action) => {
+    const t = action.items[0].trade
+    const changed = (value, current) => (value === '' || Number(value) === Number(current) ? NaN : Number(value))
+    return validateTicket({
+      direction: parseFloat(t.currentUnits || t.initialUnits || 0) >= 0 ? 'LONG' : 'SHORT',
+      entry: parseFloat(t.price),
+      sl: changed(action.sl, t.stopLossOrder?.price),
+      tp: changed(action.tp, t.takeProfitOrder?.price),
+      type: 'MARKET',
+      slRequired: false,
+    })
+  }
+
+  const openModifyPosition = (t) =>
+    setPendingAction({
+      kind: 'modify',
+      title: `Modifier SL/TP ${t.instrument}`,
+      phrase: t.instrument,
+      confirmLabel: 'Appliquer',
+      sl: t.stopLossOrder?.price ?? '',
+      tp: t.takeProfitOrder?.price ?? '',
+      items: [{ key: t.id, label: positionLabel(t), status: 'pending', trade: t }],
+    })
+
+  const setActionItem = (key, patch) =>
+    setPendingAction((p) => ({ ...p, items: p.items.map(item => (item.key === key ? { ...item, ...patch } : item)) }))
+
+  // Items run one at a time so a failure on one trade is reported without
+  // stopping the others.
+  const runPendingAction = async () => {
+    const action = pendingAction
+    if (!action) return
+    const permission = action.kind === 'kill' ? 'killSwitch' : 'managePositions'
+    if (!can(role, permission) || (action.kind === 'modify' && modifyErrors(action).length)) return
+    setPendingAction((p) => ({ ...p, running: true }))
+    for (const item of action.items) {
+      setActionItem(item.key, { status: 'running' })
+      try {
+        if (action.kind === 'kill') {
+          await fetchJson('/api/strategy/toggle', { method: 'POST', body: JSON.stringify({ strategy: item.key, enabled: false }) })
+          recordAudit('strategy_toggle', item.key, item.before, false)
+        } else if (action.kind === 'remove_order') {
+          const { field, order } = REMOVABLE_ORDERS[action.order]
+          await fetchJson(`/api/positions/${encodeURIComponent(item.key)}/orders`, { method: 'PUT', body: JSON.stringify({ [field]: null }) })
+          recordAudit('position_modify', item.label, { [field]: item.trade[order]?.price ?? null }, { [field]: null })
+        } else if (action.kind === 'close') {
+          const res = await fetchJson(`/api/positions/${encodeURIComponent(item.key)}/close`, { method: 'PUT' })
+          recordAudit('position_close', item.label, null, res?.realized_pnl != null ? { realized_pnl: res.realized_pnl } : null)
+          setActionItem(item.key, { status: 'ok', message: res?.realized_pnl != null ? `PnL ${Number(res.realized_pnl).toFixed(2)}` : '' })
+          continue
+        } else {
+          // An empty field leaves its order as it is: removing one is its own action
+          const body = {
+            ...(action.sl === '' ? {} : { sl: Number(action.sl) }),
+            ...(action.tp === '' ? {} : { tp: Number(action.tp) }),
+          }
+          await fetchJson(`/api/positions/${encodeURIComponent(item.key)}/orders`, { method: 'PUT', body: JSON.stringify(body) })
+          recordAudit('position_modify', item.label, { sl: item.trade.stopLossOrder?.price ?? null, tp: item.trade.takeProfitOrder?.price ?? null }, body)
+        }
+        setActionItem(item.key, { status: 'ok' })
+      } catch (err) {
+        setActionItem(item.key, { status: 'error', message: err.message })
+      }
+    }
+    setPendingAction((p) => ({ ...p, running: false, done: true }))
+    if (action.kind === 'kill') loadStrategies()
+    else loadPositions()
+  }
+
+  const renderPendingAction = () => (
+    <ConfirmActionDialog
+      action={pendingAction}
+      blocked={pendingAction.kind === 'modify' && modifyErrors(pendingAction).length > 0}
+      onRun={runPendingAction}
+      onClose={() => setPendingAction(null)}
+    >
+      {pendingAction.kind === 'modify' && (
+        <div className="risk-row">
+          <div className="control-group">
+            <label>Stop Loss</label>
+            <input
+              type="number"
+              step="any"
+              value={pendingAction.sl}
+              placeholder="Inchangé"
+              disabled={pendingAction.running || pendingAction.done}
+              onChange={e => setPendingAction((p) => ({ ...p, sl: e.target.value }))}
+            />
+          </div>
+          <div className="control-group">
+            <label>Take Profit</label>
+            <input
+              type="number"
+              step="any"
+              value={pendingAction.tp}
+              placeholder="Inchangé"
+              disabled={pendingAction.running || pendingAction.done}
+              onChange={e => setPendingAction((p) => ({ ...p, tp: e.target.value }))}
+            />
+          </div>
+        </div>
+      )}
+      {pendingAction.kind === 'modify' && !pendingAction.done && modifyErrors(pendingAction).map(err => <p key={err} className="error">{err}</p>)}
+    </ConfirmActionDialog>
+  )
+
   const loadPositions = async () => {
     setPositions((p) => ({ ...p, loading: true, error: null }))
     try {
@@ -236,33 +854,109 @@ function App() {
     }
   }
 
+  const positionsFeed = useLiveFeed({
+    enabled: Boolean(user) && activeTab === 'positions',
+    stream: (opts) => api.streamJson('/api/positions/stream', opts),
+    poll: () => fetchJson('/api/positions'),
+    intervalMs: POSITIONS_POLL_MS,
+    onData: (data) => setPositions({ data, loading: false, error: null }),
+  })
+
   const currentInstrument = INSTRUMENTS.find(i => i.sym === instrument) || INSTRUMENTS[0]
+  const isToday = candlesDay === new Date().toISOString().slice(0, 10)
 
-  const loadMarketData = (overrideSym) => {
-    if (!candlesDay) return
+  const forexSessions = useMemo(() => {
+    if (currentInstrument.source !== 'oanda' || !Array.isArray(candles.data)) return []
+    return sessionRanges(toChartBars(candles.data, currentInstrument), sessionConfig, candlesDay)
+  }, [currentInstrument, candles.data, sessionConfig, candlesDay])
+
+  // Session status moves with the clock, not with the candles. The clock only
+  // ticks while the sessions table is on screen.
+  const [sessionClock, setSessionClock] = useState(() => Date.now() / 1000)
+  const sessionsShown = activeTab === 'positions' && currentInstrument.source === 'oanda'
+  useEffect(() => {
+    if (!sessionsShown) return
+    const tick = () => setSessionClock(Date.now() / 1000)
+    tick()
+    const id = setInterval(tick, SESSION_CLOCK_MS)
+    return () => clearInterval(id)
+  }, [sessionsShown])
+
+  const applyLiveCandles = (raw) => {
+    const live = liveChartRef.current
+    if (!live || live.instrument !== instrument || live.timeframe !== timeframe) return
+    const bars = toChartBars(Array.isArray(raw) ? raw : [raw], currentInstrument)
+    bars.forEach((bar) => {
+      const last = live.data[live.data.length - 1]
+      if (last && bucketStart(bar.time, live.seconds) < last.time) return
+      live.series.update(mergeBar(live.data, bar, live.seconds))
+    })
+    if (bars.length > 0) {
+      live.updateIndicators(live.data)
+      livePricesRef.current[instrument] = { price: bars[bars.length - 1].close, time: Date.now() / 1000 }
+    }
+    live.refreshLegend()
+  }
+
+  const candlesFeed = useLiveFeed({
+    enabled: Boolean(user) && activeTab === 'positions' && isToday && !replay && Array.isArray(candles.data) && candles.data.length > 0,
+    source: `${instrument}:${candlesDay}:${timeframe}`,
+    stream: (opts) => api.streamJson(`/api/candles/stream?instrument=${encodeURIComponent(instrument)}`, opts),
+    poll: () => fetchJson(candlesEndpoint(currentInstrument, candlesDay, findTimeframe(timeframe))),
+    intervalMs: CANDLES_POLL_MS,
+    onData: applyLiveCandles,
+  })
+
+  const loadMarketData = ({ sym: overrideSym, tf: overrideTf, day: overrideDay } = {}) => {
+    const day = overrideDay || candlesDay
+    if (!day) return
     const sym = overrideSym || instrument
     const instrObj = INSTRUMENTS.find(i => i.sym === sym) || INSTRUMENTS[0]
+    const tf = findTimeframe(overrideTf || timeframe)
     setCandles((p) => ({ ...p, loading: true, error: null }))
 
     if (instrObj.source === 'oanda') {
-      fetchJson(`/api/candles/oanda?instrument=${encodeURIComponent(sym)}&day=${encodeURIComponent(candlesDay)}`)
+      fetchJson(candlesEndpoint(instrObj, day, tf))
         .then(data => setCandles({ data, loading: false, error: null }))
         .catch(err => setCandles({ data: null, loading: false, error: err.message }))
       setOpeningRange({ data: null, loading: false, error: null })
     } else {
-      fetchJson(`/api/candles?day=${encodeURIComponent(candlesDay)}`)
+      fetchJson(candlesEndpoint(instrObj, day, tf))
         .then(data => setCandles({ data, loading: false, error: null }))
         .catch(err => setCandles({ data: null, loading: false, error: err.message }))
 
       setOpeningRange((p) => ({ ...p, loading: true, error: null }))
-      fetchJson(`/api/opening_range/${candlesDay}?instrument=${sym}`)
+      fetchJson(`/api/opening_range/${day}?instrument=${sym}`)
         .then(data => setOpeningRange({ data, loading: false, error: null }))
         .catch(() => setOpeningRange({ data: null, loading: false, error: null }))
     }
 
+    if (compareSyms.length > 0) loadCompareData(compareSyms.filter(s => s !== sym), tf.key, day)
     if (!trades.data) loadTrades()
   }
 
+  const loadCompareData = (syms, tfKey, overrideDay) => {
+    const day = overrideDay || candlesDay
+    if (!day || syms.length === 0) {
+      setCompareCandles(emptyPanel)
+      return
+    }
+    const tf = findTimeframe(tfKey || timeframe)
+    setCompareCandles((p) => ({ ...p, loading: true, error: null }))
+    Promise.all(syms.map(sym => {
+      const instrObj = INSTRUMENTS.find(i => i.sym === sym)
+      return fetchJson(candlesEndpoint(instrObj, day, tf)).then(raw => [sym, raw])
+    }))
+      .then(entries => setCompareCandles({ data: Object.fromEntries(entries), loading: false, error: null }))
+      .catch(err => setCompareCandles({ data: null, loading: false, error: err.message }))
+  }
+
+  const toggleCompare = (sym) => {
+    const next = compareSyms.includes(sym) ? compareSyms.filter(s => s !== sym) : [...compareSyms, sym]
+    setCompareSyms(next)
+    loadCompareData(next)
+  }
+
   const loadStats = async () => {
     setStats((p) => ({ ...p, loading: true, error: null }))
     try {
@@ -273,7 +967,62 @@ function App() {
     }
   }
 
-  const loadNewsEvents = async () => {
+  // Trade events for MAE/MFE, ANALYTICS_EVENTS_BATCH requests at a time,
+  // skipping trades already fetched; kept behind an explicit button.
+  const loadAnalyticsEvents = async (closed) => {
+    setAnalyticsEvents((p) => ({ ...p, loading: true }))
+    const data = { ...analyticsEvents.data }
+    const pending = closed.filter(t => (t.oanda_trade_id || t.trade_id) && !data[tradeKey(t)])
+    for (let i = 0; i < pending.length; i += ANALYTICS_EVENTS_BATCH) {
+      await Promise.all(pending.slice(i, i + ANALYTICS_EVENTS_BATCH).map(async (t) => {
+        const pathParam = t.doc_path ? `?path=${encodeURIComponent(t.doc_path)}` : ''
+        try {
+          data[tradeKey(t)] = await fetchJson(`/api/trades/${t.oanda_trade_id || t.trade_id}/events${pathParam}`)
+        } catch {
+          data[tradeKey(t)] = []
+        }
+      }))
+    }
+    setAnalyticsEvents({ data, loading: false })
+  }
+
+  // Replays each rejected signal on M5 candles of its day (and the next one
+  // when neither SL nor TP was reached), one candles request per instrument/day.
+  // A signal whose candles cannot be loaded is kept in `failed` (not simulable)
+  // and the others go on.
+  const loadFilterSimulations = async (rejections) => {
+    setFilterSims((p) => ({ ...p, loading: true, error: null }))
+    const data = { ...filterSims.data }
+    const failed = {}
+    const cache = {}
+    const barsFor = (instrObj, day) => {
+      const key = `${instrObj.sym}:${day}`
+      if (!cache[key]) {
+        cache[key] = fetchJson(candlesEndpoint(instrObj, day, findTimeframe('M5')))
+          .then(raw => (Array.isArray(raw) ? toChartBars(raw, instrObj) : []))
+      }
+      return cache[key]
+    }
+    for (const t of rejections) {
+      const key = tradeKey(t) || t.id
+      const instrObj = INSTRUMENTS.find(i => i.sym === oandaToSym(t.instrument))
+      if (!instrObj || !canSimulate(t) || data[key]) continue
+      const day = new Date(t.timestamp).toISOString().slice(0, 10)
+      try {
+        let result = simulateSignal(t, await barsFor(instrObj, day))
+        if (!result || result.outcome === 'open') {
+          const bars = [...await barsFor(instrObj, day), ...await barsFor(instrObj, shiftDay(day, 1))]
+          result = simulateSignal(t, bars) || result
+        }
+        if (result) data[key] = result
+      } catch (err) {
+        failed[key] = err.message
+      }
+    }
+    setFilterSims({ data, failed, loading: false, error: null })
+  }
+
+  const loadNewsEvents = useCallback(async () => {
     setNewsEvents((p) => ({ ...p, loading: true, error: null }))
     try {
       const data = await fetchJson('/api/news/calendar')
@@ -281,9 +1030,9 @@ function App() {
     } catch (err) {
       setNewsEvents({ data: null, loading: false, error: err.message })
     }
-  }
+  }, [fetchJson])
 
-  const loadNewsHistory = async () => {
+  const loadNewsHistory = useCallback(async () => {
     setNewsHistory((p) => ({ ...p, loading: true, error: null }))
     try {
       const data = await fetchJson('/api/news/history')
@@ -291,35 +1040,93 @@ function App() {
     } catch (err) {
       setNewsHistory({ data: null, loading: false, error: err.message })
     }
-  }
+  }, [fetchJson])
 
   useEffect(() => {
-    loadStrategies()
-    loadBalance()
-    loadRisk()
-    loadLogTags()
-  }, [])
+    if (user && ['stats', 'filters', 'gpt', 'reactions'].includes(activeTab) && !trades.data) loadTrades()
+    if (user && ['gpt', 'positions', 'reactions'].includes(activeTab) && !newsHistory.data) loadNewsHistory()
+    if (user && activeTab === 'positions' && !newsEvents.data) loadNewsEvents()
+  }, [user, activeTab, trades.data, newsHistory.data, newsEvents.data, loadTrades, loadNewsHistory, loadNewsEvents])
 
   const strategyEntries = strategies.data ? Object.entries(strategies.data) : []
 
   useEffect(() => {
-    const unsub = onAuthStateChanged(auth, (u) => {
-      setAuthError('')
-      if (u && u.email === 'vincent.porret@hotmail.com') {
+    const unsub = onAuthStateChanged(auth, async (u) => {
+      if (!u) {
+        setUser(null)
+        setRole(null)
+        return
+      }
+      const userRole = await resolveRole(u.email, fetchJson)
+      if (userRole) {
+        setAuthError('')
+        setRole(userRole)
         setUser(u)
         loadStrategies()
         loadBalance()
-      } else if (u) {
+        loadRisk()
+        loadLogTags()
+        loadAlertRules()
+        registerAlertWorker()
+      } else {
         setAuthError("Cet utilisateur n'est pas autorisé.")
         signOut(auth)
         setUser(null)
-      } else {
-        setUser(null)
+        setRole(null)
       }
     })
     return () => unsub()
   }, [])
 
+  /* ─────────────── TRADE REPLAY ─────────────── */
+  const replaySession = replay?.session ?? null
+  const replayCursor = replay?.cursor ?? null
+  const replayPlaying = Boolean(replay?.playing)
+  const replaySpeed = replay?.speed ?? 1
+
+  useEffect(() => {
+    replayCursorRef.current = replayCursor
+    if (replayCursor != null) liveChartRef.current?.showUntil?.(replayCursor)
+  }, [replayCursor])
+
+  useEffect(() => {
+    if (!replayPlaying) return
+    const seconds = findTimeframe(timeframe).seconds
+    const id = setInterval(() => {
+      setReplay((p) => advanceReplay(p, 1, seconds, liveChartRef.current?.data))
+    }, REPLAY_TICK_MS / replaySpeed)
+    return () => clearInterval(id)
+  }, [replayPlaying, replaySpeed, timeframe])
+
+  const startReplay = (t) => {
+    const sym = oandaToSym(t.instrument)
+    if (!INSTRUMENTS.find(i => i.sym === sym) || !t.timestamp) return
+    const day = new Date(t.timestamp).toISOString().slice(0, 10)
+    const start = toSeconds(t.timestamp) - REPLAY_LEAD_BARS * findTimeframe(timeframe).seconds
+    setInstrument(sym)
+    setCandlesDay(day)
+    setReplay({ session: { trade: t, events: tradeEvents.data || [], instrument: sym, day, start }, cursor: start, playing: false, speed: 1 })
+    loadMarketData({ sym, day })
+    navigate('/positions')
+  }
+
+  // Opens the chart on a past day, on the instrument traded most that day
+  const openChartDay = (day, dayTrades) => {
+    const counts = {}
+    dayTrades.forEach(t => { counts[oandaToSym(t.instrument)] = (counts[oandaToSym(t.instrument)] || 0) + 1 })
+    const sym = Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a])
+      .find(s => INSTRUMENTS.some(i => i.sym === s)) || instrument
+    setReplay(null)
+    setInstrument(sym)
+    setCandlesDay(day)
+    loadMarketData({ sym, day })
+    navigate('/positions')
+  }
+
+  const stepReplay = (dir) =>
+    setReplay((p) => advanceReplay({ ...p, playing: false }, dir, findTimeframe(timeframe).seconds, liveChartRef.current?.data))
+
   /* ─────────────── CHART (lightweight-charts) ─────────────── */
   useEffect(() => {
     const container = chartContainerRef.current
@@ -329,14 +1136,25 @@ function App() {
 
     const dec = currentInstrument.decimals
     const minMove = dec === 5 ? 0.00001 : dec === 3 ? 0.001 : dec === 2 ? 0.01 : 0.1
+    const tf = findTimeframe(timeframe)
+    // Daily bars are stamped at UTC midnight, so they keep UTC labels
+    const timeOptions = chartTimeOptions(tf.seconds < 86400 ? timeZone : 'UTC')
 
     // 1. Create chart (dark theme)
     const chart = createChart(container, {
       width: container.clientWidth,
       height: 420,
       layout: { background: { type: 'solid', color: '#131722' }, textColor: '#d1d4dc', fontSize: 12 },
+      localization: timeOptions.localization,
       grid: { vertLines: { color: '#1e222d' }, horzLines: { color: '#1e222d' } },
-      timeScale: { timeVisible: true, secondsVisible: false, borderColor: '#2a2e39', rightOffset: 5, minBarSpacing: 2 },
+      timeScale: {
+        timeVisible: tf.seconds < 86400,
+        secondsVisible: false,
+        borderColor: '#2a2e39',
+        rightOffset: 5,
+        minBarSpacing: 2,
+        tickMarkFormatter: timeOptions.tickMarkFormatter,
+      },
       rightPriceScale: { borderColor: '#2a2e39' },
       crosshair: {
         mode: 0,
@@ -349,7 +1167,7 @@ function App() {
     const legend = document.createElement('div')
     legend.className = 'chart-legend'
     legend.innerHTML = `
-      <div class="chart-legend-title">${currentInstrument.label}  M5</div>
+      <div class="chart-legend-title">${currentInstrument.label}  ${tf.label}</div>
       <div class="chart-legend-ohlc">
         <span>O <span class="val">-</span></span>
         <span>H <span class="val">-</span></span>
@@ -369,25 +1187,14 @@ function App() {
     })
 
     const isOanda = currentInstrument.source === 'oanda'
-    const sym = `I:${instrument}`
-    const data = candles.data
-      .filter(c => isOanda || !c.sym || c.sym === sym)
-      .map(c => ({
-        time: isOanda
-          ? Math.floor(Date.parse(c.time) / 1000)
-          : Math.floor((c.s || 0) / 1000),
-        open: c.o ?? c.open,
-        high: c.h ?? c.high,
-        low: c.l ?? c.low,
-        close: c.c ?? c.close,
-      }))
-      .filter(d => d.open != null && d.time > 0)
-      .sort((a, b) => a.time - b.time)
+    const data = aggregateBars(toChartBars(candles.data, currentInstrument), tf.seconds)
 
     if (data.length === 0) { chart.remove(); legend.remove(); return }
 
     // 4. Set data
     series.setData(data)
+    let indicators = createIndicatorLayer(chart, indicatorSettingsRef.current, 420)
+    indicators.update(data)
 
     // 5. Watermark
     try {
@@ -399,17 +1206,41 @@ function App() {
       })
     } catch { /* watermark is optional */ }
 
-    // 6. Opening range lines
+    // 6. Opening range lines (indices) / session boxes (forex)
     const orData = openingRange.data
     if (orData) {
       series.createPriceLine({ price: Number(orData.high), color: '#26a69a', lineWidth: 1, lineStyle: 2, axisLabelVisible: true, title: 'OR High' })
       series.createPriceLine({ price: Number(orData.low), color: '#ef5350', lineWidth: 1, lineStyle: 2, axisLabelVisible: true, title: 'OR Low' })
     }
+    if (isOanda && forexSessions.length > 0) attachSessionBoxes(series, forexSessions)
+
+    // News releases affecting the instrument, updated without rebuilding the chart
+    const newsLayer = attachNewsMarkers(chart, series, container, { colors: NEWS_IMPACT_COLORS, renderTooltip: (marker) => newsTooltipContent(marker, timeZone) })
+    newsLayer.update(newsMarkersRef.current)
+
+    // Compare mode: the instrument and the compared ones as % change lines
+    const comparisons = compareSyms
+      .filter(s => s !== instrument && Array.isArray(compareCandles.data?.[s]))
+      .map((s, i) => {
+        const instrObj = INSTRUMENTS.find(x => x.sym === s)
+        return {
+          label: instrObj.label,
+          color: COMPARE_COLORS[i % COMPARE_COLORS.length],
+          bars: aggregateBars(toChartBars(compareCandles.data[s], instrObj), tf.seconds),
+        }
+      })
+    addCompareLines(chart, { label: currentInstrument.label, color: '#d1d4dc', bars: data }, comparisons)
 
-    // Trade overlays
-    if (Array.isArray(trades.data)) {
+    // Trade overlays (replaced by the replayed trade while a replay runs)
+    const replayActive = replaySession && replaySession.instrument === instrument && replaySession.day === candlesDay
+    if (Array.isArray(trades.data) && !replayActive) {
+      const rangeStart = data[0].time
+      const rangeEnd = data[data.length - 1].time + tf.seconds
       const dayTrades = trades.data
-        .filter(t => t.timestamp?.startsWith(candlesDay))
+        .filter(t => {
+          const ts = t.timestamp ? Math.floor(new Date(t.timestamp).getTime() / 1000) : 0
+          return ts >= rangeStart && ts < rangeEnd
+        })
         .filter(t => {
           if (!t.instrument) return false
           if (isOanda) return t.instrument === instrument
@@ -421,7 +1252,7 @@ function App() {
       if (dayTrades.length > 0 && candleTimes.length > 0) {
         const snapToCandle = (ts) => {
           const best = candleTimes.reduce((prev, curr) => Math.abs(curr - ts) < Math.abs(prev - ts) ? curr : prev)
-          return Math.abs(best - ts) <= 300 ? best : null // max 5min (M5)
+          return Math.abs(best - ts) <= tf.seconds ? best : null // max one bar
         }
 
         const markers = dayTrades
@@ -453,12 +1284,13 @@ function App() {
     }
 
     // 7. Crosshair legend update
+    let shown = data
     const updateLegend = (param) => {
       let bar
       if (param && param.seriesData) {
         bar = param.seriesData.get(series)
       }
-      if (!bar) bar = data[data.length - 1]
+      if (!bar) bar = shown[shown.length - 1]
       if (!bar) return
 
       const isUp = bar.close >= bar.open
@@ -475,9 +1307,9 @@ function App() {
         spans[3].className = `val ${cls}`
       }
       const changeEl = legend.querySelector('.chart-legend-change')
-      if (changeEl && data.length > 1) {
-        const idx = param?.seriesData?.get(series) ? data.findIndex(d => d.time === bar.time) : data.length - 1
-        const prevClose = idx > 0 ? data[idx - 1].close : bar.open
+      if (changeEl && shown.length > 1) {
+        const idx = param?.seriesData?.get(series) ? shown.findIndex(d => d.time === bar.time) : shown.length - 1
+        const prevClose = idx > 0 ? shown[idx - 1].close : bar.open
         const pct = ((bar.close - prevClose) / prevClose * 100).toFixed(2)
         const sign = pct >= 0 ? '+' : ''
         changeEl.textContent = `${sign}${pct}%`
@@ -485,13 +1317,56 @@ function App() {
       }
     }
 
-    chart.subscribeCrosshairMove(updateLegend)
+    let hovering = false
+    chart.subscribeCrosshairMove((param) => {
+      hovering = param?.time != null
+      updateLegend(param)
+    })
 
     // 8. Initialize legend with last candle
     updateLegend(null)
 
+    // Replay reveals the bars up to the cursor; the rest stays as empty space
+    let showUntil = null
+    if (replayActive) {
+      const drawReplay = createReplayLayer(series, replaySession, dec)
+      showUntil = (cursor) => {
+        shown = data.filter(d => d.time <= cursor)
+        series.setData(shown)
+        indicators.update(shown)
+        drawReplay(shown, cursor)
+        if (!hovering) updateLegend(null)
+      }
+    }
+
+    // Order ticket SL/TP/limit lines, moved by dragging them on the chart
+    const ticketLines = attachDraggableLines(chart, series, container, (key, price) =>
+      setTicket((p) => (p ? { ...p, [key]: price.toFixed(dec), step: 'edit' } : p)))
+    ticketLines.update(ticketLinesRef.current)
+
+    // Live bars are pushed straight into the series so zoom and scroll survive
+    liveChartRef.current = {
+      instrument,
+      timeframe,
+      seconds: tf.seconds,
+      series,
+      data,
+      updateIndicators: (bars) => indicators.update(bars),
+      // New indicator settings swap the indicator series only, keeping zoom
+      setIndicatorSettings: (settings) => {
+        indicators.dispose()
+        indicators = createIndicatorLayer(chart, settings, 420)
+        indicators.update(shown)
+      },
+      showUntil,
+      refreshLegend: () => { if (!hovering) updateLegend(null) },
+      updateTicketLines: ticketLines.update,
+      updateNewsMarkers: newsLayer.update,
+    }
+
     // 9. Fit content
     chart.timeScale().fitContent()
+    if (showUntil && replayCursorRef.current != null) showUntil(replayCursorRef.current)
 
     const ro = new ResizeObserver(entries => {
       if (entries[0]) chart.applyOptions({ width: entries[0].contentRect.width })
@@ -499,8 +1374,8 @@ function App() {
     ro.observe(container)
 
     // 10. Cleanup
-    return () => { ro.disconnect(); chart.remove(); legend.remove() }
-  }, [activeTab, candles.data, openingRange.data, trades.data, candlesDay, instrument])
+    return () => { liveChartRef.current = null; ticketLines.dispose(); newsLayer.dispose(); ro.disconnect(); chart.remove(); legend.remove() }
+  }, [activeTab, currentInstrument, candles.data, openingRange.data, trades.data, candlesDay, instrument, timeframe, forexSessions, compareSyms, compareCandles.data, replaySession, timeZone])
 
   /* ─────────────── ACCOUNT ─────────────── */
   const renderAccount = () => {
@@ -543,55 +1418,732 @@ function App() {
     return map[oandaInstr] || oandaInstr
   }
 
+  const symToOanda = (sym) => {
+    const map = { SPX: 'SPX500_USD', NDX: 'NAS100_USD' }
+    return map[sym] || sym
+  }
+
+  const updateSession = (key, patch) =>
+    setSessionConfig((p) => p.map(sess => (sess.key === key ? { ...sess, ...patch } : sess)))
+
+  const updateIndicator = (key, patch) =>
+    setIndicatorSettings((p) => ({ ...p, [key]: { ...p[key], ...patch } }))
+
   const handlePositionClick = (oandaInstr) => {
     const sym = oandaToSym(oandaInstr)
     if (INSTRUMENTS.find(i => i.sym === sym)) {
       setInstrument(sym)
-      loadMarketData(sym)
+      loadMarketData({ sym })
     }
   }
 
-  const renderPositions = () => {
-    const posData = positions.data || {}
-    const openTrades = posData.trades || []
-    const openPositions = posData.positions || []
+  /* ─────────────── NEWS ON CHART ─────────────── */
+  // Calendar of the week holding the charted day: the current week comes from
+  // newsEvents (kept fresh), other weeks are loaded once each.
+  const chartWeek = useMemo(() => (candlesDay ? weekOf(candlesDay) : null), [candlesDay])
+  const isCurrentWeek = chartWeek?.from === weekOf(new Date().toISOString().slice(0, 10)).from
 
-    const totalPnL = openTrades.reduce((sum, t) => sum + parseFloat(t.unrealizedPL || 0), 0)
+  useEffect(() => {
+    if (!user || activeTab !== 'positions' || !chartWeek || isCurrentWeek || chartNewsWeeks[chartWeek.from]) return
+    let cancelled = false
+    fetchJson(`/api/news/calendar?from=${chartWeek.from}&to=${chartWeek.to}`)
+      .then(data => { if (!cancelled) setChartNewsWeeks((p) => ({ ...p, [chartWeek.from]: data })) })
+      .catch(() => { /* the markers keep the news-strategy history */ })
+    return () => { cancelled = true }
+  }, [user, activeTab, chartWeek, isCurrentWeek, chartNewsWeeks, fetchJson])
 
-    const orData = openingRange.data
-    const isOandaInstr = currentInstrument.source === 'oanda'
-    const dec = currentInstrument.decimals
-    const dayTrades = Array.isArray(trades.data)
-      ? trades.data
-          .filter(t => t.timestamp?.startsWith(candlesDay))
-          .filter(t => {
-            if (!t.instrument) return false
-            if (isOandaInstr) return t.instrument === instrument
-            const map = { SPX: 'SPX500_USD', NDX: 'NAS100_USD' }
-            return t.instrument === (map[instrument] || instrument)
-          })
-      : []
+  const chartCalendar = isCurrentWeek ? newsEvents.data : chartNewsWeeks[chartWeek?.from]
 
-    return (
-      <>
-        <section className="card">
-          <div className="card-header">
-            <div>
-              <p className="eyebrow">Positions ouvertes</p>
-              <h2>En cours {openTrades.length > 0 && <span className="count-badge">{openTrades.length}</span>}</h2>
-            </div>
-            <button className="btn-secondary" onClick={loadPositions} disabled={positions.loading}>
-              {positions.loading ? 'Chargement...' : 'Rafraîchir'}
-            </button>
-          </div>
+  const newsMarkers = useMemo(() => {
+    if (!Array.isArray(candles.data) || candles.data.length === 0) return []
+    const bars = toChartBars(candles.data, currentInstrument)
+    if (bars.length === 0) return []
+    const to = bars[bars.length - 1].time + findTimeframe(timeframe).seconds
+    return chartNewsMarkers(chartCalendar?.events, newsHistory.data?.events, symToOanda(instrument), bars[0].time, to)
+  }, [candles.data, currentInstrument, chartCalendar, newsHistory.data, instrument, timeframe])
 
-          {positions.error && <p className="error">{positions.error}</p>}
+  useEffect(() => {
+    newsMarkersRef.current = newsMarkers
+    liveChartRef.current?.updateNewsMarkers?.(newsMarkers)
+  }, [newsMarkers])
 
-          {openTrades.length > 0 && (
+  useEffect(() => {
+    indicatorSettingsRef.current = indicatorSettings
+    liveChartRef.current?.setIndicatorSettings?.(indicatorSettings)
+  }, [indicatorSettings])
+
+  /* ─────────────── ORDER TICKET ─────────────── */
+  // Last M1 bar and its time, looking back over the weekend when today has no
+  // bars. Market orders are sized from it (an M15 close can be minutes old)
+  // and the alert poller reads it for instruments not streamed on the chart.
+  const latestQuote = useCallback(async (instrObj) => {
+    const today = new Date().toISOString().slice(0, 10)
+    for (let back = 0; back < 4; back += 1) {
+      const raw = await fetchJson(candlesEndpoint(instrObj, shiftDay(today, -back), findTimeframe('M1')))
+      const bars = Array.isArray(raw) ? toChartBars(raw, instrObj) : []
+      if (bars.length) return { price: bars[bars.length - 1].close, time: bars[bars.length - 1].time }
+    }
+    return null
+  }, [fetchJson])
+
+  // Resolves with the loaded { data, times } (null on failure) so a submit
+  // can size from the prices it just fetched.
+  const loadTicketPrices = async (sym) => {
+    const needed = [...new Set([sym, ...conversionSymbols(quoteCurrency(symToOanda(sym)))])]
+      .map(s => INSTRUMENTS.find(i => i.sym === s))
+      .filter(Boolean)
+    setTicketPrices((p) => ({ ...p, loading: true, error: null }))
+    try {
+      const found = (await Promise.all(needed.map(async i => [i.sym, await latestQuote(i)]))).filter(([, v]) => v != null)
+      const prices = {
+        data: Object.fromEntries(found.map(([s, v]) => [s, v.price])),
+        times: Object.fromEntries(found.map(([s, v]) => [s, v.time])),
+      }
+      setTicketPrices({ ...prices, loading: false, error: null })
+      return prices
+    } catch (err) {
+      setTicketPrices((p) => ({ ...p, loading: false, error: err.message }))
+      return null
+    }
+  }
+
+  const openTicket = () => {
+    setTicket({ direction: 'LONG', type: 'MARKET', limitPrice: '', sl: '', tp: '', step: 'edit', submitting: false, result: null, error: null })
+    loadTicketPrices(instrument)
+  }
+
+  const changeTicketInstrument = (sym) => {
+    setInstrument(sym)
+    loadMarketData({ sym })
+    setTicket((p) => ({ ...p, limitPrice: '', sl: '', tp: '', step: 'edit', result: null, error: null }))
+    loadTicketPrices(sym)
+  }
+
+  const updateTicket = (patch) => setTicket((p) => ({ ...p, ...patch, step: 'edit', result: null, error: null }))
+
+  useEffect(() => {
+    const line = (value, color, title) => (value !== '' && value != null ? { price: Number(value), color, title } : null)
+    const specs = ticket
+      ? {
+          limitPrice: ticket.type === 'LIMIT' ? line(ticket.limitPrice, '#2962ff', 'Limit') : null,
+          sl: line(ticket.sl, '#ef5350', 'SL ordre'),
+          tp: line(ticket.tp, '#26a69a', 'TP ordre'),
+        }
+      : {}
+    ticketLinesRef.current = specs
+    liveChartRef.current?.updateTicketLines?.(specs)
+  }, [ticket])
+
+  // Everything the ticket shows and sends, derived from the form and prices
+  const ticketQuote = (prices = ticketPrices) => {
+    const oandaInstr = symToOanda(instrument)
+    const dec = priceDec(oandaInstr)
+    const num = (v) => (v === '' || v == null ? NaN : Number(v))
+    const entry = ticket.type === 'LIMIT' ? num(ticket.limitPrice) : num(prices.data[instrument])
+    const quoteTime = prices.times?.[instrument]
+    const sl = num(ticket.sl)
+    const tp = num(ticket.tp)
+    const quote = quoteCurrency(oandaInstr)
+    const rate = quoteToChf(quote, prices.data)
+    const riskAmount = riskChf.saved ?? riskChf.value
+    const errors = validateTicket({ direction: ticket.direction, entry, sl, tp, type: ticket.type })
+    if (!rate && !prices.loading) errors.push(`Taux ${quote} → CHF indisponible`)
+    if (ticket.type === 'MARKET' && quoteTime && Date.now() / 1000 - quoteTime > QUOTE_MAX_AGE_S) {
+      errors.push(`Dernière cotation du ${fmtDate(quoteTime * 1000, 'short')} : marché fermé ?`)
+    }
+    const sizing = errors.length ? null : sizePosition({ riskAmount, entry, sl, rate, dec })
+    if (sizing && sizing.units <= 0) errors.push('Risque trop faible pour ce SL')
+    return { oandaInstr, dec, entry, quoteTime, sl, tp, riskAmount, riskCurrency: 'CHF', errors, sizing }
+  }
+
+  // Drops SL at 1x and TP at 2x a 0.2% distance so there is something to drag
+  const placeDefaultLevels = () => {
+    const { entry, dec } = ticketQuote()
+    if (!Number.isFinite(entry)) return
+    const dist = entry * 0.002 * (ticket.direction === 'LONG' ? 1 : -1)
+    updateTicket({ sl: (entry - dist).toFixed(dec), tp: (entry + 2 * dist).toFixed(dec) })
+  }
+
+  // Market orders are sized again from a quote fetched right before sending;
+  // if the size changed, the new preview has to be confirmed.
+  const submitTicket = async () => {
+    const previewed = ticketQuote()
+    if (previewed.errors.length || !previewed.sizing || !can(role, 'placeOrder')) return
+    let q = previewed
+    if (ticket.type === 'MARKET') {
+      setTicket((p) => ({ ...p, submitting: true, error: null }))
+      const prices = await loadTicketPrices(instrument)
+      q = prices ? ticketQuote(prices) : null
+      const error = !q ? 'Cotation indisponible'
+        : q.errors[0] || (!q.sizing ? 'Taille indisponible'
+          : q.sizing.units !== previewed.sizing.units ? `Prix actualisé : ${q.sizing.units} units, confirmez à nouveau` : null)
+      if (error) {
+        setTicket((p) => ({ ...p, submitting: false, error }))
+        return
+      }
+    }
+    const payload = {
+      instrument: q.oandaInstr,
+      direction: ticket.direction,
+      type: ticket.type,
+      price: ticket.type === 'LIMIT' ? q.entry : null,
+      sl: q.sl,
+      tp: Number.isFinite(q.tp) ? q.tp : null,
+      units: q.sizing.units,
+    }
+    setTicket((p) => ({ ...p, submitting: true, error: null }))
+    try {
+      const result = await fetchJson('/api/orders', { method: 'POST', body: JSON.stringify(payload) })
+      recordAudit('order_place', q.oandaInstr, null, payload)
+      setTicket((p) => ({ ...p, submitting: false, step: 'done', result }))
+      loadPositions()
+    } catch (err) {
+      setTicket((p) => ({ ...p, submitting: false, error: err.message }))
+    }
+  }
+
+  const renderOrderTicket = () => {
+    if (!can(role, 'placeOrder')) return null
+    if (!ticket) {
+      return (
+        <section className="card">
+          <div className="card-header">
+            <div>
+              <p className="eyebrow">Trading manuel</p>
+              <h2>Ticket d'ordre</h2>
+            </div>
+            <button className="btn-secondary" onClick={openTicket}>Nouvel ordre</button>
+          </div>
+        </section>
+      )
+    }
+    const q = ticketQuote()
+    const pips = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? (Math.abs(a - b) / pipSize(q.dec)).toFixed(1) : '-')
+    const rr = Number.isFinite(q.tp) && q.sizing ? (Math.abs(q.tp - q.entry) / Math.abs(q.entry - q.sl)).toFixed(2) : null
+    const editing = ticket.step === 'edit'
+
+    return (
+      <section className="card">
+        <div className="card-header">
+          <div>
+            <p className="eyebrow">Trading manuel</p>
+            <h2>Ticket d'ordre</h2>
+          </div>
+          <div className="header-actions">
+            <button className="btn-secondary" onClick={() => loadTicketPrices(instrument)} disabled={ticketPrices.loading}>
+              {ticketPrices.loading ? 'Prix...' : 'Actualiser les prix'}
+            </button>
+            <button className="btn-ghost" onClick={() => setTicket(null)}>Fermer</button>
+          </div>
+        </div>
+
+        <div className="market-controls">
+          <div className="control-group">
+            <label>Instrument</label>
+            <select value={instrument} disabled={!editing} onChange={(e) => changeTicketInstrument(e.target.value)}>
+              {INSTRUMENTS.map(i => <option key={i.sym} value={i.sym}>{i.label} ({i.sym})</option>)}
+            </select>
+          </div>
+          <div className="control-group">
+            <label>Direction</label>
+            <div className="level-chips">
+              {['LONG', 'SHORT'].map(dir => (
+                <button key={dir} className={`chip ${ticket.direction === dir ? 'active' : ''}`} disabled={!editing} onClick={() => updateTicket({ direction: dir })}>{dir}</button>
+              ))}
+            </div>
+          </div>
+          <div className="control-group">
+            <label>Type</label>
+            <div className="level-chips">
+              {ORDER_TYPES.map(t => (
+                <button key={t.key} className={`chip ${ticket.type === t.key ? 'active' : ''}`} disabled={!editing} onClick={() => updateTicket({ type: t.key })}>{t.label}</button>
+              ))}
+            </div>
+          </div>
+          {ticket.type === 'LIMIT' ? (
+            <div className="control-group">
+              <label>Prix limite</label>
+              <input type="number" step="any" value={ticket.limitPrice} disabled={!editing} onChange={(e) => updateTicket({ limitPrice: e.target.value })} />
+            </div>
+          ) : (
+            <div className="control-group">
+              <label>Dernier prix{q.quoteTime ? ` (${fmtDate(q.quoteTime * 1000, 'timeSeconds')})` : ''}</label>
+              <span className="ticket-price">{Number.isFinite(q.entry) ? q.entry.toFixed(q.dec) : '-'}</span>
+            </div>
+          )}
+          <div className="control-group">
+            <label>Stop loss</label>
+            <input type="number" step="any" value={ticket.sl} disabled={!editing} onChange={(e) => updateTicket({ sl: e.target.value })} />
+          </div>
+          <div className="control-group">
+            <label>Take profit</label>
+            <input type="number" step="any" value={ticket.tp} disabled={!editing} onChange={(e) => updateTicket({ tp: e.target.value })} />
+          </div>
+        </div>
+        <p className="muted">
+          Les lignes SL/TP{ticket.type === 'LIMIT' ? '/Limit' : ''} se déplacent à la souris sur le graphique ci-dessus.{' '}
+          {editing && <button className="btn-ghost" onClick={placeDefaultLevels}>Placer SL/TP par défaut</button>}
+        </p>
+
+        {ticketPrices.error && <p className="error">{ticketPrices.error}</p>}
+        {editing && q.errors.length > 0 && (ticket.sl !== '' || ticket.type === 'LIMIT') && (
+          <ul className="ticket-errors">{q.errors.map(err => <li key={err} className="error">{err}</li>)}</ul>
+        )}
+
+        <div className="account-grid">
+          <div className="stat-card accent">
+            <span className="stat-label">Units</span>
+            <span className="stat-value">{q.sizing ? q.sizing.units : '-'}</span>
+            <span className="stat-hint">Risque configuré {q.riskAmount} {q.riskCurrency}</span>
+          </div>
+          <div className="stat-card">
+            <span className="stat-label">Distance SL / TP</span>
+            <span className="stat-value">{pips(q.entry, q.sl)} / {pips(q.entry, q.tp)} pips</span>
+            {rr && <span className="stat-hint">R:R 1:{rr}</span>}
+          </div>
+          <div className="stat-card">
+            <span className="stat-label">Risque effectif</span>
+            <span className="stat-value">{q.sizing ? `${q.sizing.risk.toFixed(2)} ${q.riskCurrency}` : '-'}</span>
+            {q.sizing && <span className="stat-hint">{q.sizing.pipValue.toFixed(2)} {q.riskCurrency} / pip</span>}
+          </div>
+        </div>
+
+        {ticket.step === 'preview' && q.sizing && (
+          <div className="ticket-preview">
+            <p className="eyebrow">Aperçu</p>
+            <p>
+              <strong>{ticket.direction} {q.sizing.units} {q.oandaInstr}</strong>{' '}
+              {ticket.type === 'LIMIT' ? `limit @ ${q.entry.toFixed(q.dec)}` : `au marché (~${q.entry.toFixed(q.dec)})`}
+              {' · '}SL {q.sl.toFixed(q.dec)}{Number.isFinite(q.tp) ? ` · TP ${q.tp.toFixed(q.dec)}` : ' · sans TP'}
+            </p>
+          </div>
+        )}
+        {ticket.error && <p className="error">{ticket.error}</p>}
+        {ticket.step === 'done' && (
+          <p className="ticket-result">
+            Ordre envoyé{ticket.result?.order_id || ticket.result?.trade_id ? ` (#${ticket.result.order_id || ticket.result.trade_id})` : ''}
+            {ticket.result?.fill_price != null ? `, exécuté à ${Number(ticket.result.fill_price).toFixed(q.dec)}` : ''}
+          </p>
+        )}
+
+        <div className="trade-actions">
+          {ticket.step === 'edit' && (
+            <button className="btn-secondary" onClick={() => setTicket((p) => ({ ...p, step: 'preview' }))} disabled={q.errors.length > 0 || !q.sizing}>
+              Aperçu
+            </button>
+          )}
+          {ticket.step === 'preview' && (
+            <>
+              <button className="btn-ghost" onClick={() => updateTicket({})} disabled={ticket.submitting}>Modifier</button>
+              <button onClick={submitTicket} disabled={ticket.submitting || q.errors.length > 0}>
+                {ticket.submitting ? 'Envoi...' : "Envoyer l'ordre"}
+              </button>
+            </>
+          )}
+          {ticket.step === 'done' && <button className="btn-secondary" onClick={openTicket}>Nouvel ordre</button>}
+        </div>
+      </section>
+    )
+  }
+
+  /* ─────────────── ALERTS ─────────────── */
+  // Rules are stored per user by the backend; the history stays in this browser
+  const alertHistoryKey = user ? `alerts:history:${user.email}` : null
+
+  const loadAlertRules = async () => {
+    setAlertRules((p) => ({ ...p, loading: true, error: null }))
+    try {
+      const data = await fetchJson('/api/alerts/rules')
+      const rules = Array.isArray(data) ? data : data?.rules || []
+      setAlertRules({ data: rules, saved: rules, loading: false, saving: false, error: null })
+    } catch (err) {
+      setAlertRules((p) => ({ ...p, loading: false, error: err.message }))
+    }
+  }
+
+  const saveAlertRules = async () => {
+    const invalid = alertRules.data.find(r => validateRule(r))
+    if (invalid) {
+      setAlertRules((p) => ({ ...p, error: `${describeRule(invalid)} : ${validateRule(invalid)}` }))
+      return
+    }
+    setAlertRules((p) => ({ ...p, saving: true, error: null }))
+    try {
+      await fetchJson('/api/alerts/rules', { method: 'PUT', body: JSON.stringify({ rules: alertRules.data }) })
+      setAlertRules((p) => ({ ...p, saved: p.data, saving: false }))
+    } catch (err) {
+      setAlertRules((p) => ({ ...p, saving: false, error: err.message }))
+    }
+  }
+
+  const addAlertRule = (type) => setAlertRules((p) => ({ ...p, data: [...p.data, newRule(type, type === 'price' ? instrument : '')] }))
+
+  const updateAlertRule = (id, patch) =>
+    setAlertRules((p) => ({ ...p, data: p.data.map(r => (r.id === id ? { ...r, ...patch } : r)) }))
+
+  const removeAlertRule = (id) => setAlertRules((p) => ({ ...p, data: p.data.filter(r => r.id !== id) }))
+
+  const enableNotifications = async () => {
+    setNotifyPermission(await requestNotificationPermission())
+    registerAlertWorker()
+  }
+
+  const pushAlertHistory = useCallback((entries) =>
+    setAlertHistory((p) => {
+      const next = [...entries, ...p].slice(0, ALERT_HISTORY_LIMIT)
+      if (alertHistoryKey) localStorage.setItem(alertHistoryKey, JSON.stringify(next))
+      return next
+    }), [alertHistoryKey])
+
+  const clearAlertHistory = () => {
+    setAlertHistory([])
+    if (alertHistoryKey) localStorage.removeItem(alertHistoryKey)
+  }
+
+  useEffect(() => {
+    if (!alertHistoryKey) return
+    try {
+      const stored = JSON.parse(localStorage.getItem(alertHistoryKey) || '[]')
+      setAlertHistory(stored)
+      alertFiredRef.current = stored.reduce((acc, h) => ({ ...acc, [h.ruleId]: Math.max(acc[h.ruleId] || 0, Date.parse(h.timestamp)) }), {})
+    } catch {
+      setAlertHistory([])
+    }
+  }, [alertHistoryKey])
+
+  // Own timer rather than useLiveFeed: the feeds pause in hidden tabs, alerts
+  // must not (browsers still run it, throttled to about once a minute).
+  useEffect(() => {
+    const rules = alertRules.saved.filter(r => r.enabled && !validateRule(r))
+    alertSnapshotRef.current = null
+    if (!user || rules.length === 0) return
+
+    let cancelled = false
+    // Streamed price of the charted instrument when fresh, else the last M1 close
+    const priceOf = async (sym) => {
+      const live = livePricesRef.current[sym]
+      if (live && Date.now() / 1000 - live.time < ALERTS_POLL_MS / 1000) return live.price
+      const instrObj = INSTRUMENTS.find(i => i.sym === sym)
+      return instrObj ? (await latestQuote(instrObj))?.price ?? null : null
+    }
+    // Stopped-out trades come from the backend's close reason, never from price
+    const stoppedOut = async (awaiting) => {
+      const stopped = []
+      const unresolved = []
+      await Promise.all(awaiting.map(async (t) => {
+        let reason = null
+        try {
+          reason = closeReason(await fetchJson(`/api/trades/${encodeURIComponent(t.id)}/events`))
+        } catch {
+          // retried on the next poll
+        }
+        if (reason == null) {
+          if ((t.attempts || 0) + 1 < CLOSE_REASON_ATTEMPTS) unresolved.push({ ...t, attempts: (t.attempts || 0) + 1 })
+        } else if (isStopLossClose(reason)) {
+          stopped.push(t)
+        }
+      }))
+      return { stopped, unresolved }
+    }
+    const check = async () => {
+      try {
+        const needsPositions = rules.some(r => r.type !== 'price')
+        const trades = needsPositions ? positionsSnapshot(await fetchJson('/api/positions'), oandaToSym) : []
+        const prev = alertSnapshotRef.current
+        const awaiting = prev && rules.some(r => r.type === 'sl_hit') ? [...prev.unresolved, ...goneTrades(prev.trades, trades)] : []
+        const syms = [...new Set(rules.filter(r => r.type === 'price').map(r => r.instrument))]
+        const [prices, closes] = await Promise.all([
+          Promise.all(syms.map(async sym => [sym, await priceOf(sym)])).then(Object.fromEntries),
+          stoppedOut(awaiting),
+        ])
+        if (cancelled) return
+        const snapshot = { trades, prices, pnl: needsPositions ? totalUnrealized(trades) : null, ...closes }
+        const fired = evaluateRules(rules, prev, snapshot, alertFiredRef.current)
+        alertSnapshotRef.current = snapshot
+        if (fired.length === 0) return
+        const timestamp = new Date().toISOString()
+        fired.forEach(({ rule, message }) => {
+          alertFiredRef.current[rule.id] = Date.parse(timestamp)
+          notify(ALERT_TYPES[rule.type], message, `alert-${rule.id}`)
+        })
+        pushAlertHistory(fired.map(({ rule, message }) => ({ ruleId: rule.id, rule: describeRule(rule), message, timestamp })))
+      } catch {
+        // next poll retries
+      }
+    }
+    check()
+    const id = setInterval(check, ALERTS_POLL_MS)
+    return () => { cancelled = true; clearInterval(id) }
+  }, [user, alertRules.saved, fetchJson, latestQuote, pushAlertHistory])
+
+  // News notifications share the alert history; their key is the event itself
+  const newsSettingsKey = user ? `alerts:news-settings:${user.email}` : null
+
+  const updateNewsAlertSettings = (patch) =>
+    setNewsAlertSettings((p) => {
+      const next = { ...p, ...patch }
+      if (newsSettingsKey) localStorage.setItem(newsSettingsKey, JSON.stringify(next))
+      return next
+    })
+
+  useEffect(() => {
+    if (!newsSettingsKey) return
+    try {
+      setNewsAlertSettings({ ...DEFAULT_NEWS_ALERT_SETTINGS, ...JSON.parse(localStorage.getItem(newsSettingsKey) || '{}') })
+    } catch {
+      setNewsAlertSettings(DEFAULT_NEWS_ALERT_SETTINGS)
+    }
+  }, [newsSettingsKey])
+
+  useEffect(() => {
+    newsEventsRef.current = newsEvents.data?.events || []
+  }, [newsEvents.data])
+
+  // Keeps the calendar fresh in the background and notifies `leadMinutes`
+  // before each qualifying event, once per event.
+  useEffect(() => {
+    if (!user || !newsAlertSettings.enabled) return
+    let cancelled = false
+    const refresh = async () => {
+      try {
+        const data = await fetchJson('/api/news/calendar')
+        if (!cancelled) setNewsEvents({ data, loading: false, error: null })
+      } catch {
+        // the next refresh retries
+      }
+    }
+    const check = async () => {
+      const due = dueNewsEvents(newsEventsRef.current, newsAlertSettings, key => Boolean(alertFiredRef.current[key]))
+      if (due.length === 0) return
+      let posData = null
+      try {
+        posData = await fetchJson('/api/positions')
+      } catch {
+        // notify without exposure rather than not at all
+      }
+      if (cancelled) return
+      const timestamp = new Date().toISOString()
+      const entries = due.map(ev => {
+        const key = newsEventKey(ev)
+        const message = newsAlertMessage(ev, exposedTrades(ev, posData))
+        alertFiredRef.current[key] = Date.parse(timestamp)
+        notify(`News ${ev.impact} : ${ev.title}`, message, key)
+        return { ruleId: key, rule: 'News à venir', message, timestamp }
+      })
+      pushAlertHistory(entries)
+    }
+    if (!newsEventsRef.current.length) refresh()
+    const refreshId = setInterval(refresh, NEWS_CALENDAR_REFRESH_MS)
+    const checkId = setInterval(check, NEWS_ALERT_CHECK_MS)
+    return () => { cancelled = true; clearInterval(refreshId); clearInterval(checkId) }
+  }, [user, newsAlertSettings, fetchJson, pushAlertHistory])
+
+  const renderNewsAlertSettings = () => (
+    <div className="news-alert-settings">
+      <label className="news-alert-toggle">
+        <input type="checkbox" checked={newsAlertSettings.enabled} onChange={(e) => updateNewsAlertSettings({ enabled: e.target.checked })} />
+        Notifier avant les news
+      </label>
+      <div className="control-group">
+        <label>Minutes avant</label>
+        <input
+          type="number"
+          min="1"
+          max="240"
+          value={newsAlertSettings.leadMinutes}
+          disabled={!newsAlertSettings.enabled}
+          onChange={(e) => updateNewsAlertSettings({ leadMinutes: Math.max(1, Number(e.target.value) || 1) })}
+        />
+      </div>
+      <div className="control-group">
+        <label>Impact minimum</label>
+        <select value={newsAlertSettings.minImpact} disabled={!newsAlertSettings.enabled} onChange={(e) => updateNewsAlertSettings({ minImpact: e.target.value })}>
+          {NEWS_IMPACTS.map(i => <option key={i} value={i}>{i}</option>)}
+        </select>
+      </div>
+      <label className="news-alert-toggle">
+        <input
+          type="checkbox"
+          checked={newsAlertSettings.includeScheduled}
+          disabled={!newsAlertSettings.enabled}
+          onChange={(e) => updateNewsAlertSettings({ includeScheduled: e.target.checked })}
+        />
+        Toujours pour les planifiés
+      </label>
+      {newsAlertSettings.enabled && notifyPermission === 'default' && (
+        <button className="btn-secondary" onClick={enableNotifications}>Activer les notifications</button>
+      )}
+      {newsAlertSettings.enabled && notifyPermission === 'denied' && <span className="error">Notifications bloquées</span>}
+    </div>
+  )
+
+  const renderAlerts = () => {
+    const dirty = JSON.stringify(alertRules.data) !== JSON.stringify(alertRules.saved)
+    return (
+      <>
+        <section className="card">
+          <div className="card-header">
+            <div>
+              <p className="eyebrow">Surveillance</p>
+              <h2>Alertes</h2>
+            </div>
+            <div className="header-actions">
+              {notifyPermission === 'default' && (
+                <button className="btn-secondary" onClick={enableNotifications}>Activer les notifications</button>
+              )}
+              {notifyPermission === 'granted' && (
+                <button className="btn-ghost" onClick={() => notify('Test', 'Les notifications fonctionnent', 'alert-test')}>Tester</button>
+              )}
+              <button className="btn-secondary" onClick={loadAlertRules} disabled={alertRules.loading}>
+                {alertRules.loading ? 'Chargement...' : 'Rafraîchir'}
+              </button>
+              <button onClick={saveAlertRules} disabled={!dirty || alertRules.saving}>
+                {alertRules.saving ? 'Enregistrement...' : 'Enregistrer'}
+              </button>
+            </div>
+          </div>
+
+          {notifyPermission === 'denied' && <p className="error">Notifications bloquées par le navigateur : les alertes restent visibles dans l'historique.</p>}
+          {notifyPermission === 'unsupported' && <p className="muted">Ce navigateur ne supporte pas les notifications.</p>}
+          {alertRules.error && <p className="error">{alertRules.error}</p>}
+
+          <div className="level-chips">
+            {Object.entries(ALERT_TYPES).map(([type, label]) => (
+              <button key={type} className="chip" onClick={() => addAlertRule(type)}>+ {label}</button>
+            ))}
+          </div>
+
+          {alertRules.data.length > 0 && (
+            <div className="audit-block">
+              <table className="compare-table alert-rules">
+                <thead>
+                  <tr><th>Active</th><th>Type</th><th>Instrument</th><th>Condition</th><th>Niveau</th><th /></tr>
+                </thead>
+                <tbody>
+                  {alertRules.data.map(r => (
+                    <tr key={r.id} className={validateRule(r) ? 'alert-invalid' : ''}>
+                      <td><input type="checkbox" checked={r.enabled} onChange={(e) => updateAlertRule(r.id, { enabled: e.target.checked })} /></td>
+                      <td>{ALERT_TYPES[r.type]}</td>
+                      <td>
+                        {r.type === 'pnl' ? '-' : (
+                          <select value={r.instrument} onChange={(e) => updateAlertRule(r.id, { instrument: e.target.value })}>
+                            {r.type === 'sl_hit' && <option value="">Tous</option>}
+                            {INSTRUMENTS.map(i => <option key={i.sym} value={i.sym}>{i.sym}</option>)}
+                          </select>
+                        )}
+                      </td>
+                      <td>
+                        {r.type === 'sl_hit' ? 'SL touché' : (
+                          <select value={r.op} onChange={(e) => updateAlertRule(r.id, { op: e.target.value })}>
+                            {Object.entries(ALERT_OPERATORS).map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+                          </select>
+                        )}
+                      </td>
+                      <td>
+                        {r.type === 'sl_hit' ? '-' : (
+                          <input type="number" step="any" value={r.level} onChange={(e) => updateAlertRule(r.id, { level: e.target.value })} />
+                        )}
+                      </td>
+                      <td><button className="btn-danger-sm" onClick={() => removeAlertRule(r.id)}>Supprimer</button></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {!alertRules.loading && alertRules.data.length === 0 && (
+            <div className="empty-state"><p>Aucune règle</p></div>
+          )}
+          <p className="muted">
+            Vérification toutes les {ALERTS_POLL_MS / 1000} s tant que le tableau de bord est ouvert, même en arrière-plan.
+            « au-dessus de » et « sous » se redéclenchent au plus toutes les 15 min.
+          </p>
+        </section>
+
+        <section className="card">
+          <div className="card-header">
+            <div>
+              <p className="eyebrow">Déclenchements</p>
+              <h2>Historique</h2>
+            </div>
+            <button className="btn-secondary" onClick={clearAlertHistory} disabled={alertHistory.length === 0}>Effacer</button>
+          </div>
+          {alertHistory.length > 0 ? (
+            <div className="audit-block">
+              <table className="compare-table">
+                <thead>
+                  <tr><th>Date</th><th>Règle</th><th>Détail</th></tr>
+                </thead>
+                <tbody>
+                  {alertHistory.map((h, idx) => (
+                    <tr key={`${h.ruleId}-${h.timestamp}-${idx}`}>
+                      <td className="cell-date">
+                        {fmtDate(h.timestamp, 'longSeconds')}
+                      </td>
+                      <td>{h.rule}</td>
+                      <td>{h.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state"><p>Aucune alerte déclenchée</p></div>
+          )}
+        </section>
+      </>
+    )
+  }
+
+  const renderPositions = () => {
+    const posData = positions.data || {}
+    const openTrades = posData.trades || []
+    const openPositions = posData.positions || []
+
+    const totalPnL = openTrades.reduce((sum, t) => sum + parseFloat(t.unrealizedPL || 0), 0)
+
+    const orData = openingRange.data
+    const isOandaInstr = currentInstrument.source === 'oanda'
+    const dec = currentInstrument.decimals
+    const dayTrades = Array.isArray(trades.data)
+      ? trades.data
+          .filter(t => t.timestamp?.startsWith(candlesDay))
+          .filter(t => {
+            if (!t.instrument) return false
+            if (isOandaInstr) return t.instrument === instrument
+            const map = { SPX: 'SPX500_USD', NDX: 'NAS100_USD' }
+            return t.instrument === (map[instrument] || instrument)
+          })
+      : []
+
+    return (
+      <>
+        <section className="card">
+          <div className="card-header">
+            <div>
+              <p className="eyebrow">Positions ouvertes</p>
+              <h2>En cours {openTrades.length > 0 && <span className="count-badge">{openTrades.length}</span>}</h2>
+              <FeedStatus status={positionsFeed.status} lastUpdate={positionsFeed.lastUpdate} timeZone={timeZone} />
+            </div>
+            <div className="header-actions">
+              {can(role, 'managePositions') && openTrades.length > 0 && (
+                <button className="btn-danger-sm" onClick={openCloseAll}>Fermer toutes les positions</button>
+              )}
+              <button className="btn-secondary" onClick={loadPositions} disabled={positions.loading}>
+                {positions.loading ? 'Chargement...' : 'Rafraîchir'}
+              </button>
+            </div>
+          </div>
+
+          {positions.error && <p className="error">{positions.error}</p>}
+
+          {openTrades.length > 0 && (
             <>
               <div className={`pnl-banner ${totalPnL >= 0 ? 'up' : 'down'}`}>
                 <span>PnL latent total</span>
-                <strong>{totalPnL >= 0 ? '+' : ''}{totalPnL.toFixed(2)} CHF</strong>
+                <FlashValue value={Number(totalPnL.toFixed(2))}>
+                  <strong>{totalPnL >= 0 ? '+' : ''}{totalPnL.toFixed(2)} CHF</strong>
+                </FlashValue>
               </div>
               <div className="pos-grid">
                 {openTrades.map((t) => {
@@ -627,11 +2179,23 @@ function App() {
                         )}
                         <div className="pos-row pnl-row">
                           <span className="pos-label">PnL</span>
-                          <span className={`pos-value bold ${uPnL > 0 ? 'positive' : uPnL < 0 ? 'negative' : ''}`}>
+                          <FlashValue value={uPnL} className={`pos-value bold ${uPnL > 0 ? 'positive' : uPnL < 0 ? 'negative' : ''}`}>
                             {uPnL > 0 ? '+' : ''}{uPnL.toFixed(2)} CHF
-                          </span>
+                          </FlashValue>
                         </div>
                       </div>
+                      {can(role, 'managePositions') && (
+                        <div className="pos-card-actions">
+                          <button className="btn-secondary" onClick={(e) => { e.stopPropagation(); openModifyPosition(t) }}>Modifier SL/TP</button>
+                          {t.stopLossOrder && (
+                            <button className="btn-ghost" onClick={(e) => { e.stopPropagation(); openRemoveOrder(t, 'sl') }}>Retirer le SL</button>
+                          )}
+                          {t.takeProfitOrder && (
+                            <button className="btn-ghost" onClick={(e) => { e.stopPropagation(); openRemoveOrder(t, 'tp') }}>Retirer le TP</button>
+                          )}
+                          <button className="btn-danger-sm" onClick={(e) => { e.stopPropagation(); openClosePosition(t) }}>Fermer</button>
+                        </div>
+                      )}
                     </div>
                   )
                 })}
@@ -651,6 +2215,9 @@ function App() {
             <div>
               <p className="eyebrow">Données de marché</p>
               <h2>Graphique intraday</h2>
+              {candlesFeed.status !== 'idle' && (
+                <FeedStatus status={candlesFeed.status} lastUpdate={candlesFeed.lastUpdate} timeZone={timeZone} />
+              )}
             </div>
           </div>
 
@@ -664,16 +2231,82 @@ function App() {
               </select>
             </div>
             <div className="control-group">
-              <label>Date</label>
+              <label>Timeframe</label>
+              <div className="level-chips">
+                {TIMEFRAMES.map(tf => (
+                  <button
+                    key={tf.key}
+                    className={`chip ${timeframe === tf.key ? 'active' : ''}`}
+                    onClick={() => { setTimeframe(tf.key); loadMarketData({ tf: tf.key }) }}
+                    title={tf.days > 1 ? `${tf.days} derniers jours` : undefined}
+                  >
+                    {tf.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="control-group">
+              <label>{findTimeframe(timeframe).days > 1 ? "Jusqu'au" : 'Date'}</label>
               <div className="input-row">
                 <input type="date" value={candlesDay} onChange={(e) => setCandlesDay(e.target.value)} />
-                <button className="btn-secondary" onClick={loadMarketData} disabled={candles.loading}>
+                <button className="btn-secondary" onClick={() => loadMarketData()} disabled={candles.loading}>
                   {candles.loading ? '...' : 'Charger'}
                 </button>
               </div>
             </div>
           </div>
 
+          <div className="control-group compare-controls">
+            <label>Comparer (% de variation)</label>
+            <div className="level-chips">
+              {INSTRUMENTS.filter(i => i.sym !== instrument).map(i => (
+                <button
+                  key={i.sym}
+                  className={`chip ${compareSyms.includes(i.sym) ? 'active' : ''}`}
+                  onClick={() => toggleCompare(i.sym)}
+                  disabled={compareCandles.loading}
+                >
+                  {i.label}
+                </button>
+              ))}
+              {compareSyms.length > 0 && (
+                <button className="btn-ghost" onClick={() => { setCompareSyms([]); setCompareCandles(emptyPanel) }}>Effacer</button>
+              )}
+            </div>
+          </div>
+          {compareCandles.error && <p className="error">{compareCandles.error}</p>}
+
+          <div className="indicator-bar">
+            {INDICATORS.map(ind => {
+              const conf = indicatorSettings[ind.key]
+              return (
+                <div key={ind.key} className={`indicator-item ${conf.enabled ? 'active' : ''}`}>
+                  <button
+                    className={`chip ${conf.enabled ? 'active' : ''}`}
+                    onClick={() => updateIndicator(ind.key, { enabled: !conf.enabled })}
+                  >
+                    {ind.label}
+                  </button>
+                  {conf.enabled && ind.params.map(param => (
+                    <label key={param.key} className="indicator-param">
+                      {param.label}
+                      <input
+                        type="number"
+                        min={1}
+                        max={200}
+                        value={conf[param.key]}
+                        onChange={(e) => {
+                          const val = Number(e.target.value)
+                          if (val >= 1) updateIndicator(ind.key, { [param.key]: val })
+                        }}
+                      />
+                    </label>
+                  ))}
+                </div>
+              )
+            })}
+          </div>
+
           {!isOandaInstr && orData && (
             <div className="or-cards">
               <div className="or-card">
@@ -697,6 +2330,37 @@ function App() {
             </div>
           )}
 
+          {isOandaInstr && forexSessions.length > 0 && (
+            <>
+              <div className="or-cards">
+                {forexSessions.map(sess => (
+                  <div key={sess.key} className="or-card session-card" style={{ borderTopColor: sess.color }}>
+                    <span className="or-label">{sess.label}</span>
+                    <span className="or-value">
+                      {sess.high != null ? `${sess.high.toFixed(dec)} / ${sess.low.toFixed(dec)}` : '-'}
+                    </span>
+                    {sess.range_size != null && (
+                      <span className="muted session-range">Range {sess.range_size.toFixed(dec)}</span>
+                    )}
+                    <span className={`pill ${sessionStatus(sess, sessionClock) === 'ready' ? 'on' : 'off'}`}>{sessionStatus(sess, sessionClock)}</span>
+                  </div>
+                ))}
+              </div>
+              <details className="session-config">
+                <summary>Horaires des sessions (heure locale de chaque place)</summary>
+                {sessionConfig.map(sess => (
+                  <div key={sess.key} className="session-config-row">
+                    <span className="session-config-label">{sess.label} <span className="muted">{sess.timeZone}</span></span>
+                    <input type="time" value={sess.start} onChange={(e) => e.target.value && updateSession(sess.key, { start: e.target.value })} />
+                    <span className="muted">→</span>
+                    <input type="time" value={sess.end} onChange={(e) => e.target.value && updateSession(sess.key, { end: e.target.value })} />
+                  </div>
+                ))}
+                <button className="btn-secondary" onClick={() => setSessionConfig(DEFAULT_SESSIONS)}>Réinitialiser</button>
+              </details>
+            </>
+          )}
+
           {dayTrades.length > 0 && (
             <div className="day-trades-summary">
               {dayTrades.map((t, i) => (
@@ -711,6 +2375,34 @@ function App() {
             </div>
           )}
 
+          {replay && (
+            <div className="replay-bar">
+              <span className="replay-title">
+                <span className={`pill-dir ${replay.session.trade.direction === 'LONG' ? 'long' : 'short'}`}>{replay.session.trade.direction}</span>
+                Replay {replay.session.trade.instrument?.replace('_', '/')}
+                <span className="muted">{fmtDate(replay.cursor * 1000, 'short')}</span>
+              </span>
+              <div className="replay-controls">
+                <button className="btn-secondary" onClick={() => setReplay((p) => ({ ...p, cursor: p.session.start, playing: false }))} title="Recommencer">⏮</button>
+                <button className="btn-secondary" onClick={() => stepReplay(-1)} title="Bougie précédente">◀</button>
+                <button onClick={() => setReplay((p) => ({ ...p, playing: !p.playing }))}>{replay.playing ? '⏸ Pause' : '▶ Play'}</button>
+                <button className="btn-secondary" onClick={() => stepReplay(1)} title="Bougie suivante">▶</button>
+                <div className="level-chips">
+                  {REPLAY_SPEEDS.map(speed => (
+                    <button
+                      key={speed}
+                      className={`chip ${replay.speed === speed ? 'active' : ''}`}
+                      onClick={() => setReplay((p) => ({ ...p, speed }))}
+                    >
+                      {speed}x
+                    </button>
+                  ))}
+                </div>
+                <button className="btn-ghost" onClick={() => setReplay(null)}>Quitter</button>
+              </div>
+            </div>
+          )}
+
           {candles.error && <p className="error">{candles.error}</p>}
           <div className="chart-card">
             <div ref={chartContainerRef} />
@@ -720,258 +2412,368 @@ function App() {
           </div>
         </section>
 
-        <section className="card">
-          <div className="card-header">
-            <div>
-              <p className="eyebrow">Historique</p>
-              <h2>Trades passés</h2>
+        {renderOrderTicket()}
+      </>
+    )
+  }
+
+  /* ─────────────── JOURNAL ─────────────── */
+  const renderTradeRow = (t) => {
+    const isRejected = t.outcome === 'rejected'
+    const tradeIdVal = t.oanda_trade_id || t.trade_id
+    const expandKey = tradeIdVal || t.id
+    const isExpanded = expandedTradeId === expandKey
+    return (
+      <div key={t.id} className="trade-row-group">
+        <div
+          className={`trade-row-clickable ${isExpanded ? 'expanded' : ''} ${isRejected ? 'rejected-row' : ''}`}
+          onClick={() => {
+            if (isRejected) {
+              setExpandedTradeId(isExpanded ? null : expandKey)
+              setTradeEvents({ data: null, loading: false })
+            } else if (tradeIdVal) {
+              toggleTradeEvents(tradeIdVal, t.doc_path)
+            }
+          }}
+        >
+          <span className="cell-date">{t.timestamp ? fmtDate(t.timestamp, 'short') : '-'}</span>
+          <span><span className="pill-strat">{t.strategy}</span></span>
+          <span><span className={`pill-broker ${t.broker === 'kraken' ? 'kraken' : 'oanda'}`}>{t.broker || 'oanda'}</span></span>
+          <span className="cell-instrument">{t.instrument?.replace('_', '/') || '-'}</span>
+          <span><span className={`pill-dir ${t.direction === 'LONG' ? 'long' : 'short'}`}>{t.direction}</span></span>
+          <span>{!isRejected && t.entry != null ? Number(t.entry).toFixed(priceDec(t.instrument)) : '-'}</span>
+          <span>{!isRejected && t.sl != null ? Number(t.sl).toFixed(priceDec(t.instrument)) : '-'}</span>
+          <span>{!isRejected && t.tp != null ? Number(t.tp).toFixed(priceDec(t.instrument)) : '-'}</span>
+          <span>{!isRejected && t.units != null ? Number(t.units).toFixed(1) : '-'}</span>
+          <span>{!isRejected && t.fill_price != null ? Number(t.fill_price).toFixed(priceDec(t.instrument)) : '-'}</span>
+          <span>
+            {isRejected ? '-' : t.scaling_step != null ? (
+              <span className={`pill-scaling step-${t.scaling_step}`}>
+                {t.scaling_step === 0 ? '100%' : t.scaling_step === 1 ? 'TP1 50%' : 'TP2 25%'}
+              </span>
+            ) : t.breakeven_applied ? 'BE' : '-'}
+          </span>
+          <span><span className={`pill-outcome ${t.outcome}`}>{t.outcome || 'unknown'}</span></span>
+          <span className={`cell-pnl ${t.realized_pnl > 0 ? 'positive' : t.realized_pnl < 0 ? 'negative' : ''}`}>
+            {t.realized_pnl != null ? `${t.realized_pnl > 0 ? '+' : ''}${Number(t.realized_pnl).toFixed(2)}` : '-'}
+          </span>
+          <span className="cell-id">{t.oanda_trade_id || t.trade_id || '-'}</span>
+        </div>
+        {isExpanded && isRejected && (
+          <div className="trade-events-panel">
+            {can(role, 'deleteTrade') && (
+              <div className="trade-actions">
+                <button
+                  className="btn-danger-sm"
+                  onClick={(e) => { e.stopPropagation(); deleteTrade(t) }}
+                >
+                  Supprimer
+                </button>
+              </div>
+            )}
+            <div className="rejection-detail">
+              {t.rejection_type === 'news' ? (
+                <>
+                  <div className="rejection-header">
+                    <span className="pill-outcome rejected">News block</span>
+                  </div>
+                  {t.news_check?.nearby_events?.length > 0 && (
+                    <div className="rejection-reasons">
+                      <span className="rejection-reasons-label">Events proches:</span>
+                      {t.news_check.nearby_events.map((e, i) => (
+                        <span key={i} className="rejection-reason-chip">
+                          {e.title} ({e.country}) {e.minutes_away > 0 ? `dans ${Math.round(e.minutes_away)}min` : `il y a ${Math.round(Math.abs(e.minutes_away))}min`}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </>
+              ) : (
+                <>
+                  <div className="rejection-header">
+                    <span className={`pill-dir ${t.gpt_bias === 'BULLISH' ? 'long' : t.gpt_bias === 'BEARISH' ? 'short' : ''}`}>
+                      GPT: {t.gpt_bias}
+                    </span>
+                    {t.gpt_confidence != null && (
+                      <span className="rejection-confidence">Confiance: {t.gpt_confidence}%</span>
+                    )}
+                  </div>
+                  {t.gpt_analysis && <p className="rejection-analysis">{t.gpt_analysis}</p>}
+                </>
+              )}
+              {Array.isArray(t.ichimoku_reasons) && t.ichimoku_reasons.length > 0 && (
+                <div className="rejection-reasons">
+                  <span className="rejection-reasons-label">Ichimoku:</span>
+                  {t.ichimoku_reasons.map((r, i) => (
+                    <span key={i} className="rejection-reason-chip">{r}</span>
+                  ))}
+                </div>
+              )}
             </div>
-            <button className="btn-secondary" onClick={loadTrades} disabled={trades.loading}>
-              {trades.loading ? 'Chargement...' : 'Charger'}
-            </button>
           </div>
-          {Array.isArray(trades.data) && trades.data.length > 0 && (() => {
-            const allInstruments = [...new Set(trades.data.map(t => t.instrument).filter(Boolean))].sort()
-            const filteredTrades = trades.data.filter(t => {
-              if (tradeFilterInstrument && t.instrument !== tradeFilterInstrument) return false
-              if (tradeFilterDate && t.date !== tradeFilterDate) return false
-              return true
-            })
-            return (
-              <>
-                <div className="trade-filters">
-                  <select value={tradeFilterInstrument} onChange={e => setTradeFilterInstrument(e.target.value)}>
-                    <option value="">Tous les instruments</option>
-                    {allInstruments.map(inst => (
-                      <option key={inst} value={inst}>{inst.replace('_', '/')}</option>
+        )}
+        {isExpanded && !isRejected && (
+          <div className="trade-events-panel">
+            <div className="trade-actions">
+              {t.outcome && t.outcome !== 'open' && (
+                <button
+                  className="btn-secondary"
+                  onClick={(e) => { e.stopPropagation(); startReplay(t) }}
+                  disabled={tradeEvents.loading}
+                >
+                  Rejouer
+                </button>
+              )}
+              {can(role, 'deleteTrade') && (
+                <button
+                  className="btn-danger-sm"
+                  onClick={(e) => { e.stopPropagation(); deleteTrade(t) }}
+                >
+                  Supprimer ce trade
+                </button>
+              )}
+            </div>
+            {(t.gpt_macro_bias || t.gpt_bias || t.news_check) && (
+              <div className="rejection-detail">
+                {t.news_check && (
+                  <div className="rejection-reasons" style={{ marginBottom: 6 }}>
+                    <span className="rejection-reasons-label">News check:</span>
+                    {t.news_check.nearby_events?.length > 0
+                      ? t.news_check.nearby_events.map((e, i) => (
+                          <span key={i} className="rejection-reason-chip">
+                            {e.title} ({e.country}) {e.minutes_away > 0 ? `dans ${Math.round(e.minutes_away)}min` : `il y a ${Math.round(Math.abs(e.minutes_away))}min`}
+                          </span>
+                        ))
+                      : <span className="rejection-reason-chip">Aucune news proche</span>
+                    }
+                  </div>
+                )}
+                {(t.gpt_macro_bias || t.gpt_bias) && (
+                  <>
+                    <div className="rejection-header">
+                      <span className={`pill-dir ${(t.gpt_macro_bias || t.gpt_bias) === 'BULLISH' ? 'long' : (t.gpt_macro_bias || t.gpt_bias) === 'BEARISH' ? 'short' : ''}`}>
+                        GPT: {t.gpt_macro_bias || t.gpt_bias}
+                      </span>
+                      {(t.gpt_macro_confidence ?? t.gpt_confidence) != null && (
+                        <span className="rejection-confidence">Confiance: {t.gpt_macro_confidence ?? t.gpt_confidence}%</span>
+                      )}
+                    </div>
+                    {(t.gpt_macro_analysis || t.gpt_analysis) && <p className="rejection-analysis">{t.gpt_macro_analysis || t.gpt_analysis}</p>}
+                  </>
+                )}
+                {Array.isArray(t.ichimoku_reasons) && t.ichimoku_reasons.length > 0 && (
+                  <div className="rejection-reasons">
+                    <span className="rejection-reasons-label">Ichimoku:</span>
+                    {t.ichimoku_reasons.map((r, i) => (
+                      <span key={i} className="rejection-reason-chip">{r}</span>
                     ))}
-                  </select>
-                  <input type="date" value={tradeFilterDate} onChange={e => setTradeFilterDate(e.target.value)} />
-                  {(tradeFilterInstrument || tradeFilterDate) && (
-                    <button className="btn-secondary" onClick={() => { setTradeFilterInstrument(''); setTradeFilterDate('') }}>Reset</button>
-                  )}
-                  <span className="muted" style={{ fontSize: '0.78rem' }}>{filteredTrades.length} / {trades.data.length}</span>
-                </div>
-              </>
-            )
-          })()}
-          {trades.error && <p className="error">{trades.error}</p>}
-          {Array.isArray(trades.data) && trades.data.length > 0 && (() => {
-            const filteredTrades = trades.data.filter(t => {
-              if (tradeFilterInstrument && t.instrument !== tradeFilterInstrument) return false
-              if (tradeFilterDate && t.date !== tradeFilterDate) return false
-              return true
-            })
-            return filteredTrades.length > 0 ? (
-            <div className="table-wrap">
-              <div className="trade-table">
-                <div className="trade-header-row">
-                  <span>Date</span>
-                  <span>Stratégie</span>
-                  <span>Broker</span>
-                  <span>Instrument</span>
-                  <span>Direction</span>
-                  <span>Entry</span>
-                  <span>SL</span>
-                  <span>TP</span>
-                  <span>Units</span>
-                  <span>Fill</span>
-                  <span>Scaling</span>
-                  <span>Outcome</span>
-                  <span>PnL</span>
-                  <span>ID</span>
-                </div>
-                {filteredTrades.map((t) => {
-                  const isRejected = t.outcome === 'rejected'
-                  const tradeIdVal = t.oanda_trade_id || t.trade_id
-                  const expandKey = tradeIdVal || t.id
-                  const isExpanded = expandedTradeId === expandKey
-                  return (
-                    <div key={t.id} className="trade-row-group">
-                      <div
-                        className={`trade-row-clickable ${isExpanded ? 'expanded' : ''} ${isRejected ? 'rejected-row' : ''}`}
-                        onClick={() => {
-                          if (isRejected) {
-                            setExpandedTradeId(isExpanded ? null : expandKey)
-                            setTradeEvents({ data: null, loading: false })
-                          } else if (tradeIdVal) {
-                            toggleTradeEvents(tradeIdVal, t.doc_path)
-                          }
-                        }}
-                      >
-                        <span className="cell-date">{t.timestamp ? new Date(t.timestamp).toLocaleString('fr-CH', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }) : '-'}</span>
-                        <span><span className="pill-strat">{t.strategy}</span></span>
-                        <span><span className={`pill-broker ${t.broker === 'kraken' ? 'kraken' : 'oanda'}`}>{t.broker || 'oanda'}</span></span>
-                        <span className="cell-instrument">{t.instrument?.replace('_', '/') || '-'}</span>
-                        <span><span className={`pill-dir ${t.direction === 'LONG' ? 'long' : 'short'}`}>{t.direction}</span></span>
-                        <span>{!isRejected && t.entry != null ? Number(t.entry).toFixed(priceDec(t.instrument)) : '-'}</span>
-                        <span>{!isRejected && t.sl != null ? Number(t.sl).toFixed(priceDec(t.instrument)) : '-'}</span>
-                        <span>{!isRejected && t.tp != null ? Number(t.tp).toFixed(priceDec(t.instrument)) : '-'}</span>
-                        <span>{!isRejected && t.units != null ? Number(t.units).toFixed(1) : '-'}</span>
-                        <span>{!isRejected && t.fill_price != null ? Number(t.fill_price).toFixed(priceDec(t.instrument)) : '-'}</span>
-                        <span>
-                          {isRejected ? '-' : t.scaling_step != null ? (
-                            <span className={`pill-scaling step-${t.scaling_step}`}>
-                              {t.scaling_step === 0 ? '100%' : t.scaling_step === 1 ? 'TP1 50%' : 'TP2 25%'}
-                            </span>
-                          ) : t.breakeven_applied ? 'BE' : '-'}
-                        </span>
-                        <span><span className={`pill-outcome ${t.outcome}`}>{t.outcome || 'unknown'}</span></span>
-                        <span className={`cell-pnl ${t.realized_pnl > 0 ? 'positive' : t.realized_pnl < 0 ? 'negative' : ''}`}>
-                          {t.realized_pnl != null ? `${t.realized_pnl > 0 ? '+' : ''}${Number(t.realized_pnl).toFixed(2)}` : '-'}
+                  </div>
+                )}
+              </div>
+            )}
+            {tradeEvents.loading && <p className="events-loading">Chargement...</p>}
+            {!tradeEvents.loading && tradeEvents.data && tradeEvents.data.length === 0 && (
+              <p className="events-empty">Aucun évènement</p>
+            )}
+            {!tradeEvents.loading && tradeEvents.data && tradeEvents.data.length > 0 && (
+              <div className="events-timeline">
+                {tradeEvents.data.map((ev, idx) => (
+                  <div key={idx} className={`event-item event-${(ev.type || '').toLowerCase()}`}>
+                    <div className="event-dot" />
+                    <div className="event-content">
+                      <div className="event-header">
+                        <span className={`event-type-pill ${(ev.type || '').toLowerCase()}`}>{ev.type}</span>
+                        <span className="event-time">
+                          {ev.timestamp ? fmtDate(ev.timestamp, 'shortSeconds') : ''}
                         </span>
-                        <span className="cell-id">{t.oanda_trade_id || t.trade_id || '-'}</span>
                       </div>
-                      {isExpanded && isRejected && (
-                        <div className="trade-events-panel">
-                          <div className="trade-actions">
-                            <button
-                              className="btn-danger-sm"
-                              onClick={(e) => { e.stopPropagation(); deleteTrade(t.doc_path) }}
-                            >
-                              Supprimer
-                            </button>
-                          </div>
-                          <div className="rejection-detail">
-                            {t.rejection_type === 'news' ? (
-                              <>
-                                <div className="rejection-header">
-                                  <span className="pill-outcome rejected">News block</span>
-                                </div>
-                                {t.news_check?.nearby_events?.length > 0 && (
-                                  <div className="rejection-reasons">
-                                    <span className="rejection-reasons-label">Events proches:</span>
-                                    {t.news_check.nearby_events.map((e, i) => (
-                                      <span key={i} className="rejection-reason-chip">
-                                        {e.title} ({e.country}) {e.minutes_away > 0 ? `dans ${Math.round(e.minutes_away)}min` : `il y a ${Math.round(Math.abs(e.minutes_away))}min`}
-                                      </span>
-                                    ))}
-                                  </div>
-                                )}
-                              </>
-                            ) : (
-                              <>
-                                <div className="rejection-header">
-                                  <span className={`pill-dir ${t.gpt_bias === 'BULLISH' ? 'long' : t.gpt_bias === 'BEARISH' ? 'short' : ''}`}>
-                                    GPT: {t.gpt_bias}
-                                  </span>
-                                  {t.gpt_confidence != null && (
-                                    <span className="rejection-confidence">Confiance: {t.gpt_confidence}%</span>
-                                  )}
-                                </div>
-                                {t.gpt_analysis && <p className="rejection-analysis">{t.gpt_analysis}</p>}
-                              </>
-                            )}
-                            {Array.isArray(t.ichimoku_reasons) && t.ichimoku_reasons.length > 0 && (
-                              <div className="rejection-reasons">
-                                <span className="rejection-reasons-label">Ichimoku:</span>
-                                {t.ichimoku_reasons.map((r, i) => (
-                                  <span key={i} className="rejection-reason-chip">{r}</span>
-                                ))}
-                              </div>
-                            )}
-                          </div>
-                        </div>
-                      )}
-                      {isExpanded && !isRejected && (
-                        <div className="trade-events-panel">
-                          <div className="trade-actions">
-                            <button
-                              className="btn-danger-sm"
-                              onClick={(e) => { e.stopPropagation(); deleteTrade(t.doc_path) }}
-                            >
-                              Supprimer ce trade
-                            </button>
-                          </div>
-                          {(t.gpt_macro_bias || t.gpt_bias || t.news_check) && (
-                            <div className="rejection-detail">
-                              {t.news_check && (
-                                <div className="rejection-reasons" style={{ marginBottom: 6 }}>
-                                  <span className="rejection-reasons-label">News check:</span>
-                                  {t.news_check.nearby_events?.length > 0
-                                    ? t.news_check.nearby_events.map((e, i) => (
-                                        <span key={i} className="rejection-reason-chip">
-                                          {e.title} ({e.country}) {e.minutes_away > 0 ? `dans ${Math.round(e.minutes_away)}min` : `il y a ${Math.round(Math.abs(e.minutes_away))}min`}
-                                        </span>
-                                      ))
-                                    : <span className="rejection-reason-chip">Aucune news proche</span>
-                                  }
-                                </div>
-                              )}
-                              {(t.gpt_macro_bias || t.gpt_bias) && (
-                                <>
-                                  <div className="rejection-header">
-                                    <span className={`pill-dir ${(t.gpt_macro_bias || t.gpt_bias) === 'BULLISH' ? 'long' : (t.gpt_macro_bias || t.gpt_bias) === 'BEARISH' ? 'short' : ''}`}>
-                                      GPT: {t.gpt_macro_bias || t.gpt_bias}
-                                    </span>
-                                    {(t.gpt_macro_confidence ?? t.gpt_confidence) != null && (
-                                      <span className="rejection-confidence">Confiance: {t.gpt_macro_confidence ?? t.gpt_confidence}%</span>
-                                    )}
-                                  </div>
-                                  {(t.gpt_macro_analysis || t.gpt_analysis) && <p className="rejection-analysis">{t.gpt_macro_analysis || t.gpt_analysis}</p>}
-                                </>
-                              )}
-                              {Array.isArray(t.ichimoku_reasons) && t.ichimoku_reasons.length > 0 && (
-                                <div className="rejection-reasons">
-                                  <span className="rejection-reasons-label">Ichimoku:</span>
-                                  {t.ichimoku_reasons.map((r, i) => (
-                                    <span key={i} className="rejection-reason-chip">{r}</span>
-                                  ))}
-                                </div>
-                              )}
-                            </div>
-                          )}
-                          {tradeEvents.loading && <p className="events-loading">Chargement...</p>}
-                          {!tradeEvents.loading && tradeEvents.data && tradeEvents.data.length === 0 && (
-                            <p className="events-empty">Aucun évènement</p>
-                          )}
-                          {!tradeEvents.loading && tradeEvents.data && tradeEvents.data.length > 0 && (
-                            <div className="events-timeline">
-                              {tradeEvents.data.map((ev, idx) => (
-                                <div key={idx} className={`event-item event-${(ev.type || '').toLowerCase()}`}>
-                                  <div className="event-dot" />
-                                  <div className="event-content">
-                                    <div className="event-header">
-                                      <span className={`event-type-pill ${(ev.type || '').toLowerCase()}`}>{ev.type}</span>
-                                      <span className="event-time">
-                                        {ev.timestamp ? new Date(ev.timestamp).toLocaleString('fr-CH', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }) : ''}
-                                      </span>
-                                    </div>
-                                    <p className="event-message">{ev.message}</p>
-                                    {ev.data && (
-                                      <div className="event-data">
-                                        {Object.entries(ev.data).map(([k, v]) => (
-                                          <span key={k} className="event-data-item">
-                                            <span className="event-data-key">{k}</span> {String(v)}
-                                          </span>
-                                        ))}
-                                      </div>
-                                    )}
-                                  </div>
-                                </div>
-                              ))}
-                            </div>
-                          )}
+                      <p className="event-message">{ev.message}</p>
+                      {ev.data && (
+                        <div className="event-data">
+                          {Object.entries(ev.data).map(([k, v]) => (
+                            <span key={k} className="event-data-item">
+                              <span className="event-data-key">{k}</span> {String(v)}
+                            </span>
+                          ))}
                         </div>
                       )}
                     </div>
-                  )
-                })}
+                  </div>
+                ))}
               </div>
-            </div>
-            ) : (
-              <div className="empty-state"><p>Aucun trade pour ces filtres</p></div>
-            )
-          })()}
-          {Array.isArray(trades.data) && trades.data.length === 0 && (
-            <div className="empty-state"><p>Aucun trade enregistré</p></div>
+            )}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  const renderJournal = () => {
+    const { filters, sort, order, page } = journalQuery
+    const items = journal.data?.items || []
+    const total = journal.data?.total || 0
+    const pageCount = Math.max(1, Math.ceil(total / JOURNAL_PAGE_SIZE))
+    const hasFilters = Object.values(filters).some(Boolean)
+    const filterSelect = (key, label, options) => (
+      <select value={filters[key]} onChange={e => updateJournalQuery({ filters: { [key]: e.target.value } })}>
+        <option value="">{label}</option>
+        {options.map(([value, text]) => (
+          <option key={value} value={value}>{text}</option>
+        ))}
+      </select>
+    )
+    const sortHeader = (key) => (
+      <button
+        className={`sort-header ${sort === key ? 'active' : ''}`}
+        onClick={() => updateJournalQuery({ sort: key, order: sort === key && order === 'desc' ? 'asc' : 'desc' })}
+      >
+        {JOURNAL_SORTS[key]}{sort === key ? (order === 'desc' ? ' ↓' : ' ↑') : ''}
+      </button>
+    )
+
+    return (
+      <section className="card">
+        <div className="card-header">
+          <div>
+            <p className="eyebrow">Historique</p>
+            <h2>Journal des trades</h2>
+          </div>
+          <div className="header-actions">
+            <ExportMenu onExport={exportJournal} disabled={total === 0} timeZone={timeZone} />
+            <button className="btn-secondary" onClick={() => loadJournal()} disabled={journal.loading}>
+              {journal.loading ? 'Chargement...' : 'Rafraîchir'}
+            </button>
+          </div>
+        </div>
+
+        <div className="trade-filters">
+          <input type="date" value={filters.from} title="Du" onChange={e => updateJournalQuery({ filters: { from: e.target.value } })} />
+          <input type="date" value={filters.to} title="Au" onChange={e => updateJournalQuery({ filters: { to: e.target.value } })} />
+          {filterSelect('instrument', 'Tous les instruments', INSTRUMENTS.map(i => [symToOanda(i.sym), i.label]))}
+          {filterSelect('strategy', 'Toutes les stratégies', strategyEntries.map(([name]) => [name, name]))}
+          {filterSelect('broker', 'Tous les brokers', [['oanda', 'OANDA'], ['kraken', 'Kraken']])}
+          {filterSelect('direction', 'Toutes directions', [['LONG', 'LONG'], ['SHORT', 'SHORT']])}
+          {filterSelect('outcome', 'Tous les outcomes', ['win', 'loss', 'breakeven', 'open', 'rejected'].map(o => [o, o]))}
+          {filterSelect('scaling_step', 'Tout scaling', [['0', '100%'], ['1', 'TP1 50%'], ['2', 'TP2 25%']])}
+          {hasFilters && (
+            <button className="btn-secondary" onClick={() => setSearchParams(new URLSearchParams())}>Reset</button>
           )}
-        </section>
-      </>
+          <span className="muted" style={{ fontSize: '0.78rem' }}>{total} trade{total > 1 ? 's' : ''}</span>
+        </div>
+
+        {journal.error && <p className="error">{journal.error}</p>}
+        {items.length > 0 && (
+          <div className="table-wrap">
+            <div className="trade-table">
+              <div className="trade-header-row">
+                <span>{sortHeader('timestamp')}</span>
+                <span>{sortHeader('strategy')}</span>
+                <span>Broker</span>
+                <span>Instrument</span>
+                <span>Direction</span>
+                <span>Entry</span>
+                <span>SL</span>
+                <span>TP</span>
+                <span>Units</span>
+                <span>Fill</span>
+                <span>Scaling</span>
+                <span>{sortHeader('outcome')}</span>
+                <span>{sortHeader('realized_pnl')}</span>
+                <span>ID</span>
+              </div>
+              {items.map(renderTradeRow)}
+            </div>
+          </div>
+        )}
+
+        {total > JOURNAL_PAGE_SIZE && (
+          <div className="pagination">
+            <button className="btn-secondary" onClick={() => updateJournalQuery({ page: page - 1 })} disabled={page <= 1 || journal.loading}>Précédent</button>
+            <span className="muted">Page {page} / {pageCount}</span>
+            <button className="btn-secondary" onClick={() => updateJournalQuery({ page: page + 1 })} disabled={page >= pageCount || journal.loading}>Suivant</button>
+          </div>
+        )}
+
+        {journal.data && !journal.loading && items.length === 0 && (
+          <div className="empty-state"><p>{hasFilters ? 'Aucun trade pour ces filtres' : 'Aucun trade enregistré'}</p></div>
+        )}
+      </section>
     )
   }
 
   /* ─────────────── STRATEGIES ─────────────── */
+  const renderStrategyEditor = () => {
+    const { name, schema, values, original, errors = {}, diff, loading, saving, error } = strategyEditor
+    const editable = can(role, 'editStrategyConfig')
+    const dirty = schema && configDiff(original, values).length > 0
+    const errorCount = Object.keys(errors).length
+    return (
+      <div className="strategy-editor">
+        <div className="card-header">
+          <div>
+            <p className="eyebrow">Paramètres</p>
+            <h2>{name}</h2>
+          </div>
+          <button className="btn-ghost" onClick={() => setStrategyEditor(null)}>Fermer</button>
+        </div>
+        {loading && <p className="muted">Chargement...</p>}
+        {error && <p className="error">{error}</p>}
+        {schema && (
+          <>
+            {!editable && <p className="muted">Lecture seule : rôle admin requis pour modifier.</p>}
+            <div className="config-form">
+              {Object.entries(resolveSchema(schema, schema).properties || {}).map(([key, prop]) => (
+                <SchemaField
+                  key={key}
+                  name={key}
+                  schema={prop}
+                  root={schema}
+                  path={key}
+                  value={values[key]}
+                  errors={errors}
+                  onChange={updateStrategyField}
+                  disabled={!editable || saving}
+                />
+              ))}
+            </div>
+            {errorCount > 0 && <p className="error">{errorCount} champ(s) invalide(s)</p>}
+            {diff && (
+              <div className="config-diff">
+                <p className="eyebrow">Changements</p>
+                {diff.length === 0 ? <p className="muted">Aucun changement</p> : (
+                  <table className="compare-table">
+                    <thead><tr><th>Champ</th><th>Avant</th><th>Après</th></tr></thead>
+                    <tbody>
+                      {diff.map(d => (
+                        <tr key={d.path}>
+                          <td>{d.path}</td>
+                          <td className="diff-before">{formatConfigValue(d.before)}</td>
+                          <td className="diff-after">{formatConfigValue(d.after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+            {editable && (
+              <div className="trade-actions">
+                <button className="btn-ghost" onClick={() => setStrategyEditor((p) => ({ ...p, values: p.original, errors: {}, diff: null }))} disabled={!dirty || saving}>
+                  Annuler les modifications
+                </button>
+                {diff?.length > 0 ? (
+                  <button onClick={saveStrategyConfig} disabled={saving}>{saving ? '...' : 'Confirmer et sauvegarder'}</button>
+                ) : (
+                  <button className="btn-secondary" onClick={reviewStrategyConfig} disabled={!dirty || errorCount > 0}>Vérifier les changements</button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    )
+  }
+
   const renderStrategies = () => (
     <section className="card">
       <div className="card-header">
@@ -996,10 +2798,12 @@ function App() {
             </div>
             <div className="strat-card-bottom">
               <span className={`pill ${enabled ? 'on' : 'off'}`}>{enabled ? 'ACTIVE' : 'INACTIVE'}</span>
+              <button className="btn-ghost" onClick={() => openStrategyEditor(name)}>Paramètres</button>
               <button
                 className={enabled ? 'btn-danger-sm' : 'btn-success-sm'}
                 onClick={() => toggleStrategy(name)}
-                disabled={strategies.loading}
+                disabled={strategies.loading || !can(role, 'toggleStrategy')}
+                title={can(role, 'toggleStrategy') ? undefined : 'Rôle operator requis'}
               >
                 {enabled ? 'Désactiver' : 'Activer'}
               </button>
@@ -1008,6 +2812,8 @@ function App() {
         ))}
       </div>
 
+      {strategyEditor && renderStrategyEditor()}
+
       <div className="risk-config">
         <p className="eyebrow">Risque par trade (Forex / OANDA)</p>
         <div className="risk-row">
@@ -1022,7 +2828,8 @@ function App() {
           <button
             className="btn-secondary"
             onClick={() => saveRisk(riskChf.value)}
-            disabled={riskChf.saving}
+            disabled={riskChf.saving || !can(role, 'saveRisk')}
+            title={can(role, 'saveRisk') ? undefined : 'Rôle admin requis'}
           >
             {riskChf.saving ? '...' : 'Sauvegarder'}
           </button>
@@ -1040,7 +2847,8 @@ function App() {
           <button
             className="btn-secondary"
             onClick={() => saveRiskCrypto(riskUsdCrypto.value)}
-            disabled={riskUsdCrypto.saving}
+            disabled={riskUsdCrypto.saving || !can(role, 'saveRisk')}
+            title={can(role, 'saveRisk') ? undefined : 'Rôle admin requis'}
           >
             {riskUsdCrypto.saving ? '...' : 'Sauvegarder'}
           </button>
@@ -1049,26 +2857,80 @@ function App() {
     </section>
   )
 
-  /* ─────────────── NEWS CALENDAR ─────────────── */
+  /* ─────────────── NEWS CALENDAR ─────────────── */
+  // Week 0 is the live calendar (kept fresh by the news notifications);
+  // other weeks are fetched on demand by date range.
+  const loadNewsWeek = async (offset) => {
+    if (offset === 0) {
+      setNewsWeek({ offset: 0, data: null, loading: false, error: null })
+      loadNewsEvents()
+      return
+    }
+    const { from, to } = calendarWeek(offset, timeZone)
+    setNewsWeek({ offset, data: null, loading: true, error: null })
+    try {
+      const data = await fetchJson(`/api/news/calendar?from=${from}&to=${to}`)
+      setNewsWeek({ offset, data, loading: false, error: null })
+    } catch (err) {
+      setNewsWeek({ offset, data: null, loading: false, error: err.message })
+    }
+  }
+
+  const toggleNewsFilter = (key, value) =>
+    setNewsFilters((p) => ({ ...p, [key]: p[key].includes(value) ? p[key].filter(v => v !== value) : [...p[key], value] }))
+
+  // Configs of the active strategies, for the instruments they trade. A config
+  // that fails to load only leaves its strategy out of the filter.
+  const loadStrategyConfigs = async () => {
+    setStrategyConfigs((p) => ({ ...p, loading: true, error: null }))
+    try {
+      const states = await fetchJson('/api/strategy/all')
+      setStrategies({ data: states, loading: false, error: null })
+      const failed = []
+      const entries = await Promise.all(Object.keys(states || {}).filter(name => states[name]).map(async (name) => {
+        try {
+          const data = await fetchJson(`/api/strategy/${encodeURIComponent(name)}/config`)
+          return [name, data.values ?? data.config]
+        } catch {
+          failed.push(name)
+          return [name, null]
+        }
+      }))
+      setStrategyConfigs({
+        data: Object.fromEntries(entries),
+        loading: false,
+        error: failed.length ? `Configuration indisponible : ${failed.join(', ')}` : null,
+      })
+    } catch (err) {
+      setStrategyConfigs({ data: null, loading: false, error: err.message })
+    }
+  }
+
+  const toggleActiveOnly = (activeOnly) => {
+    setNewsFilters((p) => ({ ...p, activeOnly }))
+    if (activeOnly) loadStrategyConfigs()
+  }
+
   const renderNews = () => {
-    const events = newsEvents.data?.events || []
+    const calendar = newsWeek.offset === 0 ? newsEvents : newsWeek
+    const allEvents = calendar.data?.events || []
+    const activeInstruments = activeStrategyInstruments(strategies.data, strategyConfigs.data)
+    const events = filterNewsEvents(allEvents, newsFilters, activeInstruments)
+    const countries = [...new Set(allEvents.map(ev => ev.country).filter(Boolean))].sort()
+    const eventInstruments = [...new Set(allEvents.flatMap(ev => ev.instruments || []))].sort()
+    const week = calendarWeek(newsWeek.offset, timeZone)
 
-    // Group events by day
+    // Group events by day, in the display time zone
     const grouped = {}
     events.forEach((ev) => {
-      const day = ev.datetime_utc.slice(0, 10)
+      const day = dayInTimeZone(ev.datetime_utc, timeZone)
       if (!grouped[day]) grouped[day] = []
       grouped[day].push(ev)
     })
     const days = Object.keys(grouped).sort()
 
-    const formatTime = (iso) =>
-      new Date(iso).toLocaleString('fr-CH', { hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Zurich' })
-
-    const formatDay = (dateStr) => {
-      const d = new Date(dateStr + 'T12:00:00Z')
-      return d.toLocaleDateString('fr-CH', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'Europe/Zurich' })
-    }
+    const formatTime = (iso) => fmtDate(iso, 'time')
+    const formatDay = formatDayLabel
 
     const impactClass = (impact) => {
       if (impact === 'High') return 'high'
@@ -1084,14 +2946,50 @@ function App() {
           <div className="card-header">
             <div>
               <p className="eyebrow">News Trading</p>
-              <h2>Évènements à venir</h2>
+              <h2>{newsWeek.offset === 0 ? 'Évènements de la semaine' : 'Calendrier'}</h2>
+            </div>
+            <div className="header-actions">
+              <button className="btn-ghost" onClick={() => loadNewsWeek(newsWeek.offset - 1)} disabled={calendar.loading}>← Semaine préc.</button>
+              <span className="news-week-label">{fmtDate(`${week.from}T12:00:00Z`, 'date')} – {fmtDate(`${week.to}T12:00:00Z`, 'date')}</span>
+              <button className="btn-ghost" onClick={() => loadNewsWeek(newsWeek.offset + 1)} disabled={calendar.loading}>Semaine suiv. →</button>
+              {newsWeek.offset !== 0 && <button className="btn-ghost" onClick={() => loadNewsWeek(0)}>Cette semaine</button>}
+              <button className="btn-secondary" onClick={() => loadNewsWeek(newsWeek.offset)} disabled={calendar.loading}>
+                {calendar.loading ? 'Chargement...' : 'Rafraîchir'}
+              </button>
             </div>
-            <button className="btn-secondary" onClick={loadNewsEvents} disabled={newsEvents.loading}>
-              {newsEvents.loading ? 'Chargement...' : 'Rafraîchir'}
-            </button>
           </div>
 
-          {newsEvents.error && <p className="error">{newsEvents.error}</p>}
+          {renderNewsAlertSettings()}
+
+          {allEvents.length > 0 && (
+            <div className="news-filters">
+              <div className="level-chips">
+                {NEWS_IMPACTS.map(impact => (
+                  <button key={impact} className={`chip ${newsFilters.impacts.includes(impact) ? 'active' : ''}`} onClick={() => toggleNewsFilter('impacts', impact)}>
+                    {impact}
+                  </button>
+                ))}
+              </div>
+              <div className="level-chips">
+                {countries.map(country => (
+                  <button key={country} className={`chip ${newsFilters.countries.includes(country) ? 'active' : ''}`} onClick={() => toggleNewsFilter('countries', country)}>
+                    {country}
+                  </button>
+                ))}
+              </div>
+              <select value={newsFilters.instrument} onChange={(e) => setNewsFilters((p) => ({ ...p, instrument: e.target.value }))}>
+                <option value="">Tous les instruments</option>
+                {eventInstruments.map(instr => <option key={instr} value={instr}>{instr.replace('_', '/')}</option>)}
+              </select>
+              <label className="news-alert-toggle">
+                <input type="checkbox" checked={newsFilters.activeOnly} onChange={(e) => toggleActiveOnly(e.target.checked)} />
+                Stratégies actives uniquement
+              </label>
+            </div>
+          )}
+
+          {calendar.error && <p className="error">{calendar.error}</p>}
+          {newsFilters.activeOnly && strategyConfigs.error && <p className="error">{strategyConfigs.error}</p>}
 
           {days.length > 0 && days.map((day) => (
             <div key={day} className="news-day-group">
@@ -1125,8 +3023,10 @@ function App() {
             </div>
           ))}
 
-          {!newsEvents.loading && events.length === 0 && !newsEvents.error && (
-            <div className="empty-state"><p>Cliquer sur Rafraîchir pour charger le calendrier</p></div>
+          {!calendar.loading && events.length === 0 && !calendar.error && (
+            <div className="empty-state">
+              <p>{allEvents.length > 0 ? 'Aucun évènement pour ces filtres' : 'Cliquer sur Rafraîchir pour charger le calendrier'}</p>
+            </div>
           )}
         </section>
 
@@ -1136,9 +3036,16 @@ function App() {
               <p className="eyebrow">Historique</p>
               <h2>Décisions passées</h2>
             </div>
-            <button className="btn-secondary" onClick={loadNewsHistory} disabled={newsHistory.loading}>
-              {newsHistory.loading ? 'Chargement...' : 'Charger'}
-            </button>
+            <div className="header-actions">
+              <ExportMenu
+                timeZone={timeZone}
+                disabled={history.length === 0}
+                onExport={(format, timeZone) => exportRows({ name: 'news-decisions', columns: NEWS_HISTORY_EXPORT_COLUMNS, rows: history, format, timeZone })}
+              />
+              <button className="btn-secondary" onClick={loadNewsHistory} disabled={newsHistory.loading}>
+                {newsHistory.loading ? 'Chargement...' : 'Charger'}
+              </button>
+            </div>
           </div>
 
           {newsHistory.error && <p className="error">{newsHistory.error}</p>}
@@ -1151,7 +3058,7 @@ function App() {
                   <div key={ev.id} className={`news-history-item ${isTrade ? 'traded' : 'skipped'}`}>
                     <div className="news-history-header">
                       <span className="cell-date">
-                        {ev.timestamp ? new Date(ev.timestamp).toLocaleString('fr-CH', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }) : '-'}
+                        {ev.timestamp ? fmtDate(ev.timestamp, 'short') : '-'}
                       </span>
                       <span className="news-instrument-chip">{ev.instrument?.replace('_', '/')}</span>
                       <span className={`pill-outcome ${isTrade ? 'win' : 'rejected'}`}>
@@ -1169,8 +3076,8 @@ function App() {
                     {ev.surprises && ev.surprises.length > 0 && (
                       <div className="news-history-surprises">
                         {ev.surprises.map((s, i) => (
-                          <span key={i} className={`news-surprise-chip ${s.direction === 'ABOVE' ? (s.is_inverse ? 'below' : 'above') : s.direction === 'BELOW' ? (s.is_inverse ? 'above' : 'below') : ''}`}>
-                            {s.title}: {s.direction} ({s.magnitude}{s.pct_deviation != null ? `, ${s.pct_deviation.toFixed(1)}%` : ''})
+                          <span key={i} className={`news-surprise-chip ${surpriseTone(s)}`}>
+                            {s.title}: {formatSurprise(s)}
                           </span>
                         ))}
                       </div>
@@ -1206,9 +3113,16 @@ function App() {
             <p className="eyebrow">Système</p>
             <h2>Logs</h2>
           </div>
-          <button className="btn-secondary" onClick={loadLogs} disabled={logs.loading}>
-            {logs.loading ? 'Chargement...' : 'Charger'}
-          </button>
+          <div className="header-actions">
+            <ExportMenu
+              timeZone={timeZone}
+              disabled={!logs.data?.length}
+              onExport={(format, timeZone) => exportRows({ name: 'logs', columns: LOG_EXPORT_COLUMNS, rows: logs.data, format, timeZone })}
+            />
+            <button className="btn-secondary" onClick={loadLogs} disabled={logs.loading}>
+              {logs.loading ? 'Chargement...' : 'Charger'}
+            </button>
+          </div>
         </div>
 
         <div className="log-filters">
@@ -1294,7 +3208,7 @@ function App() {
                   <div className="log-meta">
                     <span className={`log-level ${lvl.toLowerCase()}`}>{lvl || 'LOG'}</span>
                     {log.tag && <span className="pill-strat log-tag">{log.tag}</span>}
-                    <span className="log-time">{log.timestamp ? new Date(log.timestamp).toLocaleString('fr-CH', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }) : ''}</span>
+                    <span className="log-time">{log.timestamp ? fmtDate(log.timestamp, 'shortSeconds') : ''}</span>
                   </div>
                   <p className="log-msg">{log.message || JSON.stringify(log)}</p>
                 </div>
@@ -1310,9 +3224,27 @@ function App() {
   }
 
   /* ─────────────── STATS ─────────────── */
+  const toggleCompareStrategy = (name) =>
+    setCompareStrategies((p) => (p.includes(name) ? p.filter(n => n !== name) : [...p, name]))
+
   const renderStats = () => {
     const d = stats.data
-    const strats = d ? Object.entries(d.strategies) : []
+    const bounds = rangeBounds(statsRange, timeZone)
+    const ranged = Boolean(bounds.from || bounds.to)
+    const strats = d ? Object.entries(d.strategies).map(([name, s]) => [name, strategyStatsInRange(s, bounds)]) : []
+    const globalPnl = ranged ? strats.reduce((acc, [, s]) => acc + s.total_pnl, 0) : d?.global_pnl
+    const compared = strats.filter(([name]) => compareStrategies.includes(name))
+    const compareRows = [
+      ['PnL', s => `${s.total_pnl >= 0 ? '+' : ''}${s.total_pnl.toFixed(2)}`],
+      ['Trades clos', s => s.closed_trades],
+      ['W / L / BE', s => `${s.wins} / ${s.losses} / ${s.breakevens}`],
+      ['Win rate', s => `${s.win_rate}%`],
+      ['Avg win', s => s.avg_win.toFixed(2)],
+      ['Avg loss', s => s.avg_loss.toFixed(2)],
+      ['Best', s => s.best_trade.toFixed(2)],
+      ['Worst', s => s.worst_trade.toFixed(2)],
+      ['Profit factor', s => (s.profit_factor != null ? s.profit_factor.toFixed(2) : '-')],
+    ]
 
     return (
       <section className="card">
@@ -1321,34 +3253,100 @@ function App() {
             <p className="eyebrow">Performance</p>
             <h2>Stats par stratégie</h2>
           </div>
-          <button className="btn-secondary" onClick={loadStats} disabled={stats.loading}>
-            {stats.loading ? 'Chargement...' : 'Rafraîchir'}
-          </button>
+          <div className="header-actions">
+            <ExportMenu
+              timeZone={timeZone}
+              disabled={strats.length === 0}
+              onExport={(format, timeZone) => exportRows({ name: 'stats', columns: STATS_EXPORT_COLUMNS, rows: strats.map(([name, s]) => ({ name, ...s })), format, timeZone })}
+            />
+            <button className="btn-secondary" onClick={loadStats} disabled={stats.loading}>
+              {stats.loading ? 'Chargement...' : 'Rafraîchir'}
+            </button>
+          </div>
         </div>
 
         {stats.error && <p className="error">{stats.error}</p>}
 
+        <div className="stats-range">
+          <div className="level-chips">
+            {STATS_RANGES.map(r => (
+              <button
+                key={r.key}
+                className={`chip ${statsRange.preset === r.key ? 'active' : ''}`}
+                onClick={() => setStatsRange((p) => ({ ...p, preset: r.key }))}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          {statsRange.preset === 'custom' && (
+            <>
+              <input type="date" value={statsRange.from} title="Du" onChange={e => setStatsRange((p) => ({ ...p, from: e.target.value }))} />
+              <input type="date" value={statsRange.to} title="Au" onChange={e => setStatsRange((p) => ({ ...p, to: e.target.value }))} />
+            </>
+          )}
+          {ranged && <span className="muted">{bounds.from || '…'} → {bounds.to || '…'}</span>}
+        </div>
+
         {d && (
           <>
             <div className="stats-global">
-              <p className="eyebrow">PnL global réalisé</p>
-              <p className={`stats-global-value ${d.global_pnl >= 0 ? 'positive' : 'negative'}`}>
-                {d.global_pnl >= 0 ? '+' : ''}{d.global_pnl.toFixed(2)} CHF
+              <p className="eyebrow">PnL global réalisé{ranged ? ' (période)' : ''}</p>
+              <p className={`stats-global-value ${globalPnl >= 0 ? 'positive' : 'negative'}`}>
+                {globalPnl >= 0 ? '+' : ''}{globalPnl.toFixed(2)} CHF
               </p>
             </div>
 
+            {compared.length >= 2 && (
+              <div className="stats-compare">
+                <p className="eyebrow">Comparaison</p>
+                <ResponsiveContainer width="100%" height={240}>
+                  <LineChart data={overlayCumulative(compared)}>
+                    <CartesianGrid stroke="#f1f5f9" />
+                    <XAxis dataKey="date" tick={{ fontSize: 11 }} minTickGap={24} />
+                    <YAxis tick={{ fontSize: 11 }} width={60} />
+                    <Tooltip formatter={(v, key) => [`${v.toFixed(2)} CHF`, key]} />
+                    {compared.map(([name], i) => (
+                      <Line key={name} type="monotone" dataKey={name} stroke={COMPARE_COLORS[i % COMPARE_COLORS.length]} strokeWidth={2} dot={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+                <table className="compare-table">
+                  <thead>
+                    <tr>
+                      <th />
+                      {compared.map(([name], i) => (
+                        <th key={name} style={{ color: COMPARE_COLORS[i % COMPARE_COLORS.length] }}>{name}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {compareRows.map(([label, value]) => (
+                      <tr key={label}>
+                        <td>{label}</td>
+                        {compared.map(([name, s]) => <td key={name}>{value(s)}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             <div className="stats-grid">
               {strats.map(([name, s]) => {
-                const cumData = (s.pnl_history || []).reduce((acc, item, i) => {
-                  const prev = i > 0 ? acc[i - 1].cumul : 0
-                  acc.push({ date: item.date, cumul: Math.round((prev + item.pnl) * 100) / 100 })
-                  return acc
-                }, [])
+                const cumData = cumulativeHistory(s.pnl_history)
 
                 return (
                   <div key={name} className="stat-strategy-card">
                     <div className="stat-strategy-header">
                       <span className="pill-strat">{name}</span>
+                      <button
+                        className={`chip ${compareStrategies.includes(name) ? 'active' : ''}`}
+                        onClick={() => toggleCompareStrategy(name)}
+                        title="Sélectionner au moins deux stratégies"
+                      >
+                        Comparer
+                      </button>
                       <span className={`stat-strategy-pnl ${s.total_pnl >= 0 ? 'positive' : 'negative'}`}>
                         {s.total_pnl >= 0 ? '+' : ''}{s.total_pnl.toFixed(2)}
                       </span>
@@ -1423,14 +3421,688 @@ function App() {
     )
   }
 
+  const allTrades = Array.isArray(trades.data) ? trades.data : []
+  const analyticsTrades = tradesInRange(
+    analyticsStrategy ? allTrades.filter(t => t.strategy === analyticsStrategy) : allTrades,
+    rangeBounds(statsRange, timeZone),
+    timeZone,
+  )
+
+  const renderAnalytics = () => {
+    const a = computeAnalytics(analyticsTrades, analyticsEvents.data, timeZone)
+    const signed = (v, suffix = '') => (v == null ? '-' : `${v > 0 ? '+' : ''}${v.toFixed(2)}${suffix}`)
+    const formatDay = (iso) => (iso ? fmtDate(iso, 'date') : '')
+    const strategyNames = [...new Set(allTrades.map(t => t.strategy).filter(Boolean))].sort()
+
+    return (
+      <section className="card">
+        <div className="card-header">
+          <div>
+            <p className="eyebrow">Analytique</p>
+            <h2>Performance détaillée</h2>
+          </div>
+          <div className="header-actions">
+            <select value={analyticsStrategy} onChange={e => setAnalyticsStrategy(e.target.value)}>
+              <option value="">Toutes les stratégies</option>
+              {strategyNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <button
+              className="btn-secondary"
+              onClick={() => loadAnalyticsEvents(closedTrades(analyticsTrades))}
+              disabled={analyticsEvents.loading || a.count === 0}
+              title="Charge les évènements de chaque trade clos"
+            >
+              {analyticsEvents.loading ? 'Chargement...' : 'Calculer MAE/MFE'}
+            </button>
+            <button className="btn-secondary" onClick={loadTrades} disabled={trades.loading}>
+              {trades.loading ? 'Chargement...' : 'Rafraîchir'}
+            </button>
+          </div>
+        </div>
+
+        {trades.error && <p className="error">{trades.error}</p>}
+
+        {a.count > 0 && (
+          <>
+            <div className="account-grid">
+              <div className="stat-card accent">
+                <span className="stat-label">PnL réalisé ({a.count} trades)</span>
+                <span className="stat-value">{signed(a.totalPnl, ' CHF')}</span>
+              </div>
+              <div className="stat-card">
+                <span className="stat-label">Max drawdown</span>
+                <span className="stat-value negative">{signed(a.drawdown.amount, ' CHF')}</span>
+                {a.drawdown.start && (
+                  <span className="stat-hint">
+                    {formatDay(a.drawdown.start)} → {a.drawdown.recovered ? formatDay(a.drawdown.end) : 'en cours'} · {a.drawdown.durationDays} j
+                  </span>
+                )}
+              </div>
+              <div className="stat-card">
+                <span className="stat-label">Sharpe / Sortino</span>
+                <span className="stat-value">{a.sharpe ?? '-'} / {a.sortino ?? '-'}</span>
+                <span className="stat-hint">Annualisés, PnL journalier</span>
+              </div>
+              <div className="stat-card">
+                <span className="stat-label">Expectancy / trade</span>
+                <span className="stat-value">{signed(a.expectancy, ' CHF')}</span>
+                <span className="stat-hint">{a.avgR != null ? `${signed(a.avgR, 'R')} sur ${a.rCount} trades` : 'R indisponible (risque initial)'}</span>
+              </div>
+              <div className="stat-card">
+                <span className="stat-label">Séries W / L</span>
+                <span className="stat-value">{a.streaks.longestWin} / {a.streaks.longestLoss}</span>
+                {a.streaks.current && (
+                  <span className="stat-hint">En cours : {a.streaks.current.length} {a.streaks.current.type === 'win' ? 'gain(s)' : 'perte(s)'}</span>
+                )}
+              </div>
+              <div className="stat-card">
+                <span className="stat-label">MAE / MFE moyens</span>
+                <span className="stat-value">{signed(a.avgMae, 'R')} / {signed(a.avgMfe, 'R')}</span>
+                <span className="stat-hint">{a.excursionCount} / {a.count} trades couverts</span>
+              </div>
+            </div>
+
+            <div className="analytics-chart">
+              <p className="eyebrow">Equity curve</p>
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={a.curve}>
+                  <CartesianGrid stroke="#f1f5f9" />
+                  <XAxis dataKey="date" tick={{ fontSize: 11 }} minTickGap={24} />
+                  <YAxis tick={{ fontSize: 11 }} width={60} />
+                  <Tooltip formatter={(v) => [`${v.toFixed(2)} CHF`, 'Equity']} />
+                  <Line type="monotone" dataKey="equity" stroke="#2962ff" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+              <ResponsiveContainer width="100%" height={110}>
+                <AreaChart data={a.curve}>
+                  <XAxis dataKey="date" hide />
+                  <YAxis tick={{ fontSize: 11 }} width={60} />
+                  <Tooltip formatter={(v) => [`${v.toFixed(2)} CHF`, 'Drawdown']} />
+                  <Area type="monotone" dataKey="drawdown" stroke="#dc2626" fill="#fee2e2" />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+
+            {a.rCount > 0 && (
+              <div className="analytics-chart">
+                <p className="eyebrow">Distribution des R-multiples</p>
+                <ResponsiveContainer width="100%" height={180}>
+                  <BarChart data={a.rDistribution}>
+                    <CartesianGrid stroke="#f1f5f9" vertical={false} />
+                    <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                    <YAxis allowDecimals={false} tick={{ fontSize: 11 }} width={30} />
+                    <Tooltip formatter={(v) => [v, 'Trades']} />
+                    <Bar dataKey="count" fill="#6366f1" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </>
+        )}
+
+        {!trades.loading && a.count === 0 && !trades.error && (
+          <div className="empty-state"><p>Aucun trade clos</p></div>
+        )}
+      </section>
+    )
+  }
+
+  const renderPnlCalendar = () => {
+    const heatmap = calendarHeatmap(analyticsTrades, timeZone)
+    if (heatmap.weeks.length === 0) return null
+    const breakdowns = pnlBreakdowns(analyticsTrades, timeZone)
+    const cellColor = (pnl) => {
+      if (pnl == null) return undefined
+      if (pnl === 0) return '#e5e7eb'
+      const alpha = 0.25 + 0.75 * Math.min(1, Math.abs(pnl) / (heatmap.maxAbs || 1))
+      return pnl > 0 ? `rgba(22, 163, 74, ${alpha})` : `rgba(220, 38, 38, ${alpha})`
+    }
+    const breakdownChart = (title, rows) => (
+      <div className="breakdown-chart">
+        <p className="eyebrow">{title}</p>
+        <ResponsiveContainer width="100%" height={180}>
+          <ComposedChart data={rows}>
+            <CartesianGrid stroke="#f1f5f9" vertical={false} />
+            <XAxis dataKey="label" tick={{ fontSize: 11 }} interval={0} />
+            <YAxis yAxisId="pnl" tick={{ fontSize: 11 }} width={50} />
+            <YAxis yAxisId="rate" orientation="right" domain={[0, 100]} tick={{ fontSize: 11 }} width={34} unit="%" />
+            <Tooltip
+              formatter={(v, key, item) => (key === 'pnl'
+                ? [`${v.toFixed(2)} CHF (${item.payload.count} trades)`, 'PnL']
+                : [`${v}%`, 'Win rate'])}
+            />
+            <Bar yAxisId="pnl" dataKey="pnl" radius={[3, 3, 0, 0]}>
+              {rows.map(row => <Cell key={row.key} fill={row.pnl >= 0 ? '#16a34a' : '#dc2626'} />)}
+            </Bar>
+            <Line yAxisId="rate" dataKey="winRate" stroke="#6366f1" strokeWidth={1.5} dot={{ r: 2 }} connectNulls />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    )
+
+    return (
+      <section className="card">
+        <div className="card-header">
+          <div>
+            <p className="eyebrow">Calendrier</p>
+            <h2>PnL par jour, heure et instrument</h2>
+          </div>
+          <span className="muted">Heures {timeZone}{analyticsStrategy ? ` · ${analyticsStrategy}` : ''}</span>
+        </div>
+
+        <div className="pnl-heatmap">
+          <div className="pnl-heatmap-labels">
+            {WEEKDAY_LABELS.map(label => <span key={label}>{label}</span>)}
+          </div>
+          {heatmap.weeks.map(week => (
+            <div key={week[0].day} className="pnl-heatmap-week">
+              {week.map(cell => (
+                <button
+                  key={cell.day}
+                  className={`pnl-heatmap-cell ${cell.trades.length ? 'has-trades' : ''}`}
+                  style={{ background: cellColor(cell.pnl) }}
+                  disabled={!cell.trades.length}
+                  title={cell.trades.length
+                    ? `${cell.day} : ${cell.pnl > 0 ? '+' : ''}${cell.pnl.toFixed(2)} CHF, ${cell.trades.length} trade(s)`
+                    : cell.day}
+                  onClick={() => openChartDay(cell.day, cell.trades)}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div className="breakdown-grid">
+          {breakdownChart('Par jour de la semaine', breakdowns.weekday)}
+          {breakdownChart('Par heure', breakdowns.hour)}
+          {breakdownChart('Par mois', breakdowns.month)}
+          {breakdownChart('Par instrument', breakdowns.instrument)}
+        </div>
+      </section>
+    )
+  }
+
+  /* ─────────────── AUDIT ─────────────── */
+  const renderAudit = () => {
+    const entries = Array.isArray(auditLog.data) ? auditLog.data : []
+    const shown = auditAction ? entries.filter(e => e.action === auditAction) : entries
+    const restored = restoredTargets(entries)
+    return (
+      <section className="card">
+        <div className="card-header">
+          <div>
+            <p className="eyebrow">Traçabilité</p>
+            <h2>Audit</h2>
+          </div>
+          <button className="btn-secondary" onClick={loadAudit} disabled={auditLog.loading}>
+            {auditLog.loading ? 'Chargement...' : 'Rafraîchir'}
+          </button>
+        </div>
+
+        <div className="level-chips">
+          <button className={`chip ${auditAction === '' ? 'active' : ''}`} onClick={() => setAuditAction('')}>Tous</button>
+          {Object.entries(AUDIT_ACTIONS).map(([key, label]) => (
+            <button key={key} className={`chip ${auditAction === key ? 'active' : ''}`} onClick={() => setAuditAction(key)}>{label}</button>
+          ))}
+        </div>
+
+        {auditLog.error && <p className="error">{auditLog.error}</p>}
+
+        {shown.length > 0 && (
+          <div className="audit-block">
+            <table className="compare-table audit-table">
+              <thead>
+                <tr><th>Date</th><th>Utilisateur</th><th>Action</th><th>Cible</th><th>Avant</th><th>Après</th><th /></tr>
+              </thead>
+              <tbody>
+                {shown.map((e, idx) => (
+                  <tr key={e.id || idx}>
+                    <td className="cell-date">
+                      {e.timestamp ? fmtDate(e.timestamp, 'longSeconds') : '-'}
+                    </td>
+                    <td>{e.user || '-'}</td>
+                    <td><span className="pill-strat">{AUDIT_ACTIONS[e.action] || e.action}</span></td>
+                    <td className="audit-target">{e.target}</td>
+                    <td className="diff-before">{formatAuditValue(e.before)}</td>
+                    <td className="diff-after">{formatAuditValue(e.after)}</td>
+                    <td>
+                      {isRestorable(e, restored) && can(role, 'deleteTrade') && (
+                        <button className="btn-success-sm" onClick={() => restoreTrade(e.target)}>Restaurer</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {!auditLog.loading && auditLog.data && shown.length === 0 && (
+          <div className="empty-state"><p>Aucune entrée</p></div>
+        )}
+      </section>
+    )
+  }
+
+  /* ─────────────── GPT CALIBRATION ─────────────── */
+  const openTradeInJournal = (t) => {
+    const day = t.timestamp?.slice(0, 10) || ''
+    navigate(`/journal?${journalSearchParams({ page: 1, sort: 'timestamp', order: 'desc', filters: { from: day, to: day, instrument: t.instrument, strategy: t.strategy } })}`)
+  }
+
+  const renderGptCalibration = () => {
+    const calls = gptCalls(allTrades, newsHistory.data?.events)
+    const cal = calibration(calls)
+    const matches = searchCalls(calls, gptSearch)
+    const pct = (v) => (v != null ? `${v}%` : '-')
+    const accuracyTable = (title, rows) => (
+      <div className="audit-block">
+        <p className="eyebrow">{title}</p>
+        <table className="compare-table">
+          <thead>
+            <tr><th /><th>Appels</th><th>Évalués</th><th>Justes</th><th>Précision</th></tr>
+          </thead>
+          <tbody>
+            {rows.map(g => (
+              <tr key={g.key}>
+                <td>{g.key}</td>
+                <td>{g.count}</td>
+                <td>{g.scored}</td>
+                <td>{g.hits}</td>
+                <td>{pct(g.accuracy)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )
+
+    return (
+      <>
+        <section className="card">
+          <div className="card-header">
+            <div>
+              <p className="eyebrow">Qualité des décisions</p>
+              <h2>Calibration GPT</h2>
+            </div>
+            <div className="header-actions">
+              <button className="btn-secondary" onClick={() => { loadTrades(); loadNewsHistory() }} disabled={trades.loading || newsHistory.loading}>
+                {trades.loading || newsHistory.loading ? 'Chargement...' : 'Rafraîchir'}
+              </button>
+            </div>
+          </div>
+
+          {(trades.error || newsHistory.error) && <p className="error">{trades.error || newsHistory.error}</p>}
+
+          <div className="account-grid">
+            <div className="stat-card accent">
+              <span className="stat-label">Précision du biais</span>
+              <span className="stat-value">{pct(cal.overall.accuracy)}</span>
+              <span className="stat-hint">{cal.overall.hits} / {cal.overall.scored} appels évalués</span>
+            </div>
+            {cal.bySource.map(g => (
+              <div key={g.key} className="stat-card">
+                <span className="stat-label">{g.key === 'trade' ? 'Trades (biais macro)' : 'News'}</span>
+                <span className="stat-value">{pct(g.accuracy)}</span>
+                <span className="stat-hint">{g.count} appels, {g.scored} évalués</span>
+              </div>
+            ))}
+          </div>
+          <p className="muted">
+            Un appel est juste quand le biais (BULLISH/BEARISH) correspond au sens réalisé : trade gagnant dans sa direction,
+            ou perdant dans la direction opposée. Les biais neutres et les trades sans issue ne sont pas évalués.
+          </p>
+
+          <div className="analytics-chart">
+            <p className="eyebrow">Courbe de fiabilité (confiance annoncée vs taux de réussite)</p>
+            <ResponsiveContainer width="100%" height={220}>
+              <ComposedChart data={cal.reliability}>
+                <CartesianGrid stroke="#f1f5f9" />
+                <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                <YAxis domain={[0, 100]} tick={{ fontSize: 11 }} width={40} unit="%" />
+                <Tooltip formatter={(v, key, item) => (key === 'hitRate'
+                  ? [`${v}% (${item.payload.scored} appels)`, 'Réussite']
+                  : [`${v}%`, 'Calibration parfaite'])}
+                />
+                <Line dataKey="expected" stroke="#9ca3af" strokeDasharray="4 4" dot={false} />
+                <Line dataKey="hitRate" stroke="#2962ff" strokeWidth={2} connectNulls />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="breakdown-grid">
+            {accuracyTable('Par instrument', cal.byInstrument)}
+            {accuracyTable('Par stratégie', cal.byStrategy)}
+          </div>
+        </section>
+
+        <section className="card">
+          <div className="card-header">
+            <div>
+              <p className="eyebrow">Archive</p>
+              <h2>Analyses GPT</h2>
+            </div>
+            <input
+              className="archive-search"
+              value={gptSearch}
+              placeholder="Rechercher (texte, instrument, stratégie...)"
+              onChange={e => setGptSearch(e.target.value)}
+            />
+          </div>
+          <p className="muted">{matches.length} analyse(s){matches.length > GPT_ARCHIVE_LIMIT ? `, ${GPT_ARCHIVE_LIMIT} premières affichées` : ''}</p>
+          <div className="gpt-archive">
+            {matches.slice(0, GPT_ARCHIVE_LIMIT).map(c => (
+              <div key={c.key} className="gpt-archive-item">
+                <div className="news-history-header">
+                  <span className="cell-date">
+                    {c.timestamp ? fmtDate(c.timestamp, 'long') : '-'}
+                  </span>
+                  <span className="news-instrument-chip">{c.instrument?.replace('_', '/')}</span>
+                  <span className="pill-strat">{c.source === 'news' ? 'news' : c.strategy}</span>
+                  <span className={`pill-dir ${c.bias === 'BULLISH' ? 'long' : c.bias === 'BEARISH' ? 'short' : ''}`}>
+                    {c.bias}{c.confidence != null ? ` ${c.confidence}%` : ''}
+                  </span>
+                  {c.correct != null && (
+                    <span className={`pill-outcome ${c.correct ? 'win' : 'loss'}`}>{c.correct ? 'Juste' : 'Faux'}</span>
+                  )}
+                  {c.trade && (
+                    <button className="btn-ghost" onClick={() => openTradeInJournal(c.trade)}>Voir le trade →</button>
+                  )}
+                </div>
+                {c.titles?.length > 0 && (
+                  <div className="news-history-titles">
+                    {c.titles.map((title, i) => <span key={i} className="news-history-title">{title}</span>)}
+                  </div>
+                )}
+                {c.analysis && <p className="gpt-archive-text">{c.analysis}</p>}
+              </div>
+            ))}
+          </div>
+        </section>
+      </>
+    )
+  }
+
+  /* ─────────────── FILTERS AUDIT ─────────────── */
+  const renderFiltersAudit = () => {
+    const rejections = allTrades.filter(isRejected)
+    const simulable = rejections.filter(canSimulate)
+    const audit = auditRejections(rejections, filterSims.data, t => tradeKey(t) || t.id)
+    const auditTable = (title, rows, showFilter = false) => (
+      <div className="audit-block">
+        <p className="eyebrow">{title}</p>
+        <table className="compare-table audit-table">
+          <thead>
+            <tr>
+              <th>{showFilter ? 'Condition' : 'Groupe'}</th>
+              <th>Déclenché</th>
+              <th>Simulés</th>
+              <th>W / L / ouverts</th>
+              <th>Σ R</th>
+              <th>R moyen</th>
+              <th>Verdict</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(g => (
+              <tr key={g.key}>
+                <td>
+                  {showFilter && <span className="pill-strat">{FILTER_LABELS[g.filter]}</span>} {g.label}
+                </td>
+                <td>{g.fired} ({Math.round((g.fired / (audit.total || 1)) * 100)}%)</td>
+                <td>{g.simulated}</td>
+                <td>{g.simulated ? `${g.wins} / ${g.losses} / ${g.open}` : '-'}</td>
+                <td className={g.sumR > 0 ? 'negative' : g.sumR < 0 ? 'positive' : ''}>{g.simulated ? g.sumR.toFixed(2) : '-'}</td>
+                <td>{g.avgR != null ? g.avgR.toFixed(2) : '-'}</td>
+                <td>
+                  {g.simulated === 0 ? '-' : g.sumR < 0
+                    ? <span className="pill-outcome win">Utile</span>
+                    : g.sumR > 0 ? <span className="pill-outcome loss">Coûteux</span> : <span className="pill-outcome breakeven">Neutre</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )
+
+    return (
+      <section className="card">
+        <div className="card-header">
+          <div>
+            <p className="eyebrow">Signaux rejetés</p>
+            <h2>Audit des filtres</h2>
+          </div>
+          <div className="header-actions">
+            <button
+              className="btn-secondary"
+              onClick={() => loadFilterSimulations(simulable)}
+              disabled={filterSims.loading || simulable.length === 0}
+              title="Rejoue chaque signal rejeté (entry/SL/TP connus) sur les bougies M5"
+            >
+              {filterSims.loading ? 'Simulation...' : `Simuler (${simulable.length})`}
+            </button>
+            <button className="btn-secondary" onClick={loadTrades} disabled={trades.loading}>
+              {trades.loading ? 'Chargement...' : 'Rafraîchir'}
+            </button>
+          </div>
+        </div>
+
+        {(trades.error || filterSims.error) && <p className="error">{trades.error || filterSims.error}</p>}
+
+        {rejections.length > 0 ? (
+          <>
+            <p className="muted">
+              {rejections.length} signaux rejetés, {Object.keys(filterSims.data).length} simulés
+              {Object.keys(filterSims.failed).length > 0 && `, ${Object.keys(filterSims.failed).length} non simulables (bougies indisponibles)`}.
+              Un Σ R négatif signifie que les signaux bloqués auraient perdu : le filtre a protégé le compte.
+            </p>
+            {auditTable('Par filtre', audit.filters)}
+            {auditTable('Par condition', audit.conditions, true)}
+            {auditTable('Par confiance GPT', audit.confidence.filter(g => g.fired > 0))}
+          </>
+        ) : (
+          !trades.loading && <div className="empty-state"><p>Aucun signal rejeté</p></div>
+        )}
+      </section>
+    )
+  }
+
+  /* ─────────────── NEWS REACTIONS ─────────────── */
+  // Price reaction of each release from M1 candles, one candles request per
+  // instrument/day (plus the next day when the hour after runs past midnight UTC).
+  // A day whose candles fail only leaves its releases unmeasured (in `failed`).
+  const loadNewsReactions = async (releases) => {
+    setNewsReactions((p) => ({ ...p, loading: true, error: null }))
+    const data = { ...newsReactions.data }
+    const failed = {}
+    const cache = {}
+    const barsFor = (instrObj, day) => {
+      const key = `${instrObj.sym}:${day}`
+      if (!cache[key]) {
+        cache[key] = fetchJson(candlesEndpoint(instrObj, day, findTimeframe('M1')))
+          .then(raw => (Array.isArray(raw) ? toChartBars(raw, instrObj) : []))
+      }
+      return cache[key]
+    }
+    for (const r of releases) {
+      const instrObj = INSTRUMENTS.find(i => i.sym === oandaToSym(r.instrument))
+      if (!instrObj || data[r.key]) continue
+      const day = new Date(r.at).toISOString().slice(0, 10)
+      const endDay = new Date(r.at + Math.max(...REACTION_WINDOWS) * 60000).toISOString().slice(0, 10)
+      try {
+        let bars = await barsFor(instrObj, day)
+        if (endDay !== day) bars = [...bars, ...await barsFor(instrObj, endDay)]
+        const reaction = priceReaction(bars, r.at)
+        if (reaction) data[r.key] = reaction
+      } catch (err) {
+        failed[r.key] = err.message
+      }
+    }
+    setNewsReactions({ data, failed, loading: false, error: null })
+  }
+
+  const renderNewsReactions = () => {
+    const releases = newsReleases(newsHistory.data?.events, allTrades)
+    const summary = summarizeReleases(releases, newsReactions.data)
+    const measurable = releases.filter(r => INSTRUMENTS.some(i => i.sym === oandaToSym(r.instrument)))
+    const selected = reactionTitle ? releases.filter(r => r.title === reactionTitle) : []
+    const move = (v) => (v == null ? '-' : `${v > 0 ? '+' : ''}${v.toFixed(3)}%`)
+    const scatter = selected
+      .filter(r => r.deviation != null && newsReactions.data[r.key]?.moves[15] != null)
+      .map(r => ({ deviation: r.deviation, move: newsReactions.data[r.key].moves[15], instrument: r.instrument, at: r.at }))
+
+    return (
+      <>
+        <section className="card">
+          <div className="card-header">
+            <div>
+              <p className="eyebrow">Analyse des news</p>
+              <h2>Surprises et réactions du prix</h2>
+            </div>
+            <div className="header-actions">
+              <button
+                className="btn-secondary"
+                onClick={() => loadNewsReactions(measurable)}
+                disabled={newsReactions.loading || measurable.length === 0}
+                title="Mesure le mouvement 5 / 15 / 60 min après chaque publication sur les bougies OANDA M1"
+              >
+                {newsReactions.loading ? 'Calcul...' : `Calculer les réactions (${measurable.length})`}
+              </button>
+              <button className="btn-secondary" onClick={() => { loadTrades(); loadNewsHistory() }} disabled={trades.loading || newsHistory.loading}>
+                {trades.loading || newsHistory.loading ? 'Chargement...' : 'Rafraîchir'}
+              </button>
+            </div>
+          </div>
+
+          {(newsHistory.error || newsReactions.error) && <p className="error">{newsHistory.error || newsReactions.error}</p>}
+
+          {summary.length > 0 ? (
+            <>
+              <p className="muted">
+                {releases.length} publications, {Object.keys(newsReactions.data).length} mesurées
+                {Object.keys(newsReactions.failed).length > 0 && `, ${Object.keys(newsReactions.failed).length} non mesurées (bougies indisponibles)`}.
+                « Sens conforme » : part des publications où le prix a bougé dans le sens impliqué par la surprise (paires FX uniquement).
+              </p>
+              <div className="audit-block">
+                <table className="compare-table audit-table">
+                  <thead>
+                    <tr>
+                      <th>Évènement</th>
+                      <th>Publications</th>
+                      <th>|Surprise| moy.</th>
+                      {REACTION_WINDOWS.map(w => <th key={w}>|Δ {w} min|</th>)}
+                      <th>Sens conforme 15 min</th>
+                      <th>Trades (gagnants)</th>
+                      <th>PnL trades</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.map(g => (
+                      <tr key={g.title} className={g.title === reactionTitle ? 'row-selected' : ''} onClick={() => setReactionTitle(g.title === reactionTitle ? '' : g.title)} style={{ cursor: 'pointer' }}>
+                        <td>{g.title}</td>
+                        <td>{g.count}</td>
+                        <td>{g.avgSurprise != null ? `${g.avgSurprise}%` : '-'}</td>
+                        {REACTION_WINDOWS.map(w => <td key={w}>{g.avgMove[w] != null ? `${g.avgMove[w].toFixed(3)}%` : '-'}</td>)}
+                        <td>{g.aligned[15] != null ? `${g.aligned[15]}%` : '-'}</td>
+                        <td>{g.trades ? `${g.trades} (${g.wins})` : '-'}</td>
+                        <td className={g.pnl > 0 ? 'positive' : g.pnl < 0 ? 'negative' : ''}>{g.trades ? g.pnl.toFixed(2) : '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          ) : (
+            !newsHistory.loading && <div className="empty-state"><p>Aucune publication dans l'historique news</p></div>
+          )}
+        </section>
+
+        {reactionTitle && (
+          <section className="card">
+            <div className="card-header">
+              <div>
+                <p className="eyebrow">Publications</p>
+                <h2>{reactionTitle}</h2>
+              </div>
+              <button className="btn-ghost" onClick={() => setReactionTitle('')}>Fermer</button>
+            </div>
+
+            {scatter.length > 1 && (
+              <div className="analytics-chart">
+                <p className="eyebrow">Surprise (positive = favorable à la devise) vs mouvement à 15 min</p>
+                <ResponsiveContainer width="100%" height={240}>
+                  <ScatterChart>
+                    <CartesianGrid stroke="#f1f5f9" />
+                    <XAxis type="number" dataKey="deviation" tick={{ fontSize: 11 }} unit="%" name="Surprise" />
+                    <YAxis type="number" dataKey="move" tick={{ fontSize: 11 }} width={56} unit="%" name="Δ 15 min" />
+                    <ReferenceLine x={0} stroke="#9ca3af" />
+                    <ReferenceLine y={0} stroke="#9ca3af" />
+                    <Tooltip formatter={(v, key) => [`${v}%`, key]} labelFormatter={() => ''} />
+                    <Scatter data={scatter} fill="#2962ff" />
+                  </ScatterChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+
+            <div className="audit-block">
+              <table className="compare-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Instrument</th>
+                    <th>Surprise</th>
+                    {REACTION_WINDOWS.map(w => <th key={w}>Δ {w} min</th>)}
+                    <th>Décision</th>
+                    <th>Trade</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.map(r => {
+                    const reaction = newsReactions.data[r.key]
+                    return (
+                      <tr key={r.key}>
+                        <td className="cell-date">{fmtDate(r.at, 'long')}</td>
+                        <td>{r.instrument?.replace('_', '/') || '-'}</td>
+                        <td>{r.surprise ? <span className={`news-surprise-chip ${surpriseTone(r.surprise)}`}>{formatSurprise(r.surprise)}</span> : '-'}</td>
+                        {REACTION_WINDOWS.map(w => {
+                          const v = reaction?.moves[w]
+                          const aligned = v && r.expected != null ? Math.sign(v) === r.expected : null
+                          return <td key={w} className={aligned == null ? '' : aligned ? 'positive' : 'negative'}>{move(v)}</td>
+                        })}
+                        <td>{r.action ? <span className={`pill-outcome ${r.action === 'TRADE' ? 'win' : 'rejected'}`}>{r.action}</span> : '-'}</td>
+                        <td>
+                          {r.trade ? (
+                            <button className="btn-ghost" onClick={() => openTradeInJournal(r.trade)}>
+                              {r.trade.outcome || 'ouvert'}{r.trade.realized_pnl != null ? ` ${Number(r.trade.realized_pnl).toFixed(2)}` : ''}
+                            </button>
+                          ) : '-'}
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+      </>
+    )
+  }
+
   const renderTabContent = () => (
     <Routes>
       <Route path="/account" element={renderAccount()} />
       <Route path="/positions" element={renderPositions()} />
+      <Route path="/journal" element={renderJournal()} />
       <Route path="/strategies" element={renderStrategies()} />
       <Route path="/news" element={renderNews()} />
       <Route path="/logs" element={renderLogs()} />
-      <Route path="/stats" element={renderStats()} />
+      <Route path="/filters" element={renderFiltersAudit()} />
+      <Route path="/gpt" element={renderGptCalibration()} />
+      <Route path="/reactions" element={renderNewsReactions()} />
+      <Route path="/audit" element={renderAudit()} />
+      <Route path="/alerts" element={renderAlerts()} />
+      <Route path="/stats" element={<>{renderStats()}{renderAnalytics()}{renderPnlCalendar()}</>} />
       <Route path="*" element={<Navigate to="/account" replace />} />
     </Routes>
   )
@@ -1446,6 +4118,13 @@ function App() {
           {user ? (
             <>
               <span className="muted">{user.email}</span>
+              <span className={`pill-role ${role}`}>{role}</span>
+              <select className="tz-select" value={timeZone} title="Fuseau horaire d'affichage" onChange={(e) => changeTimeZone(e.target.value)}>
+                {TIME_ZONES.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+              </select>
+              {can(role, 'killSwitch') && (
+                <button className="btn-kill" onClick={openKillSwitch} title="Désactiver toutes les stratégies">Kill switch</button>
+              )}
               <button className="btn-ghost" onClick={() => signOut(auth)}>Déconnexion</button>
             </>
           ) : (
@@ -1481,6 +4160,25 @@ function App() {
           <main className="content">
             {renderTabContent()}
           </main>
+
+          {pendingAction && renderPendingAction()}
+
+          {auditWriteError && (
+            <div className="undo-toast audit-error-toast">
+              <span>{auditWriteError}</span>
+              <button className="btn-ghost" onClick={() => setAuditWriteError('')}>✕</button>
+            </div>
+          )}
+
+          {undoDelete && (
+            <div className="undo-toast">
+              <span>
+                Trade supprimé : {undoDelete.trade.strategy} {undoDelete.trade.instrument?.replace('_', '/')} {undoDelete.trade.direction}
+              </span>
+              <button onClick={() => restoreTrade(undoDelete.trade.doc_path)}>Annuler</button>
+              <button className="btn-ghost" onClick={() => setUndoDelete(null)}>✕</button>
+            </div>
+          )}
         </>
       )}
     </div>
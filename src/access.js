@@ -0,0 +1,43 @@
+// Roles are ordered: each one inherits what the previous ones may do.
+export const ROLES = ['viewer', 'operator', 'admin']
+
+export const PERMISSIONS = {
+  toggleStrategy: 'operator',
+  killSwitch: 'operator',
+  managePositions: 'operator',
+  placeOrder: 'operator',
+  saveRisk: 'admin',
+  editStrategyConfig: 'admin',
+  deleteTrade: 'admin',
+}
+
+export const hasRole = (role, required) => {
+  const idx = ROLES.indexOf(role)
+  return idx >= 0 && idx >= ROLES.indexOf(required)
+}
+
+export const can = (role, action) => hasRole(role, PERMISSIONS[action])
+
+// VITE_ACCESS_LIST="alice@example.com:admin,bob@example.com:viewer"
+const parseAccessList = (raw) =>
+  Object.fromEntries(
+    (raw || '')
+      .split(',')
+      .map((entry) => entry.trim().split(':').map((s) => s.trim()))
+      .filter(([email, role]) => email && ROLES.includes(role))
+      .map(([email, role]) => [email.toLowerCase(), role]),
+  )
+
+const configAccessList = parseAccessList(import.meta.env.VITE_ACCESS_LIST)
+
+// The backend is the source of truth when it exposes /api/access/me; the env
+// allow-list only covers deployments where that endpoint is missing.
+export const resolveRole = async (email, fetchJson) => {
+  try {
+    const data = await fetchJson('/api/access/me')
+    return ROLES.includes(data?.role) ? data.role : null
+  } catch (err) {
+    if (err.status === 401 || err.status === 403) return null
+    return configAccessList[(email || '').toLowerCase()] || null
+  }
+}
@@ -0,0 +1,136 @@
+// Alert rules, evaluated in the page against open positions, the latest
+// prices of the instruments they watch and the close reason of the trades that
+// left the positions. Notifications are shown through a service worker so they
+// also appear while the tab is in the background.
+
+export const ALERT_TYPES = {
+  price: 'Prix',
+  pnl: 'PnL latent total',
+  sl_hit: 'Trade au SL',
+}
+
+export const ALERT_OPERATORS = {
+  cross: 'croise',
+  above: 'au-dessus de',
+  below: 'sous',
+}
+
+export const ALERTS_POLL_MS = 30000
+export const ALERT_COOLDOWN_MS = 15 * 60 * 1000
+export const ALERT_HISTORY_LIMIT = 200
+
+export const newRule = (type, instrument) => ({
+  id: crypto.randomUUID(),
+  type,
+  instrument: type === 'pnl' ? '' : instrument,
+  op: type === 'pnl' ? 'below' : 'cross',
+  level: '',
+  enabled: true,
+})
+
+export const validateRule = (rule) => {
+  if (rule.type === 'sl_hit') return null
+  if (rule.type === 'price' && !rule.instrument) return 'Instrument requis'
+  if (rule.level === '' || rule.level == null || !Number.isFinite(Number(rule.level))) return 'Niveau requis'
+  return null
+}
+
+export const describeRule = (rule) => {
+  if (rule.type === 'sl_hit') return `Un trade${rule.instrument ? ` ${rule.instrument}` : ''} touche son SL`
+  const subject = rule.type === 'pnl' ? 'PnL latent total' : rule.instrument
+  const unit = rule.type === 'pnl' ? ' CHF' : ''
+  return `${subject} ${ALERT_OPERATORS[rule.op]} ${rule.level}${unit}`
+}
+
+// Open OANDA trades reduced to what the rules need; `toSym` maps the OANDA
+// instrument to the dashboard symbol used by the rules.
+export const positionsSnapshot = (posData, toSym) =>
+  (posData?.trades || []).map(t => {
+    const units = parseFloat(t.currentUnits || t.initialUnits || 0)
+    return {
+      id: t.id,
+      instrument: toSym(t.instrument),
+      long: units >= 0,
+      entry: parseFloat(t.price),
+      sl: t.stopLossOrder ? parseFloat(t.stopLossOrder.price) : null,
+      pnl: parseFloat(t.unrealizedPL || 0),
+    }
+  })
+
+export const totalUnrealized = (trades) => trades.reduce((sum, t) => sum + t.pnl, 0)
+
+// Trades that left the open positions since the previous snapshot.
+export const goneTrades = (prevTrades, trades) => {
+  const open = new Set(trades.map(t => t.id))
+  return prevTrades.filter(t => !open.has(t.id))
+}
+
+// Close reason from a trade's events (GET /api/trades/{id}/events): the OANDA
+// reason of the closing fill, null while the close is not recorded yet.
+export const closeReason = (events) => {
+  const closed = (events || []).find(ev => ev.type === 'CLOSED')
+  if (!closed) return null
+  return closed.data?.reason || closed.data?.close_reason || closed.reason || 'UNKNOWN'
+}
+
+export const isStopLossClose = (reason) => reason === 'STOP_LOSS_ORDER'
+
+// A closed trade whose reason is still unknown is checked again on the next
+// polls, up to this many times.
+export const CLOSE_REASON_ATTEMPTS = 5
+
+const crossed = (prev, value, level, op) =>
+  prev != null && value != null
+  && ((op !== 'below' && prev < level && value >= level) || (op !== 'above' && prev > level && value <= level))
+
+const holds = (value, level, op) => value != null && (op === 'above' ? value > level : value < level)
+
+// `cross` fires on the poll where the value goes through the level; `above`
+// and `below` fire while the condition holds, at most once per cooldown.
+// Returns [{ rule, message }] for every rule that fires.
+export const evaluateRules = (rules, prev, snapshot, lastFired, now = Date.now()) => {
+  const fired = []
+  rules.forEach(rule => {
+    if (!rule.enabled || validateRule(rule)) return
+    if (rule.type === 'sl_hit') {
+      ;(snapshot.stopped || [])
+        .filter(t => !rule.instrument || t.instrument === rule.instrument)
+        .forEach(t => fired.push({ rule, message: `${t.instrument} ${t.long ? 'LONG' : 'SHORT'} #${t.id} fermé au SL (${t.sl})` }))
+      return
+    }
+    if (lastFired[rule.id] && now - lastFired[rule.id] < ALERT_COOLDOWN_MS) return
+    const level = Number(rule.level)
+    const value = rule.type === 'pnl' ? snapshot.pnl : snapshot.prices[rule.instrument]
+    const before = rule.type === 'pnl' ? prev?.pnl : prev?.prices[rule.instrument]
+    const hit = rule.op === 'cross' ? crossed(before, value, level, rule.op) : holds(value, level, rule.op)
+    if (hit) {
+      const shown = rule.type === 'pnl' ? `${value.toFixed(2)} CHF` : value
+      fired.push({ rule, message: `${describeRule(rule)} (actuel ${shown})` })
+    }
+  })
+  return fired
+}
+
+/* ─── Notifications ─── */
+const WORKER_URL = `${import.meta.env.BASE_URL}alerts-sw.js`
+
+export const notificationsSupported = () => 'Notification' in window && 'serviceWorker' in navigator
+
+export const registerAlertWorker = () => {
+  if (!notificationsSupported()) return Promise.resolve(null)
+  return navigator.serviceWorker.register(WORKER_URL).catch(() => null)
+}
+
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return 'unsupported'
+  return Notification.requestPermission()
+}
+
+// Falls back to a page notification when the worker is not registered.
+export const notify = async (title, body, tag) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return false
+  const registration = await navigator.serviceWorker.getRegistration(WORKER_URL)
+  if (registration) await registration.showNotification(title, { body, tag, icon: `${import.meta.env.BASE_URL}vite.svg` })
+  else new Notification(title, { body, tag })
+  return true
+}
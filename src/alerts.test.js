@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest'
+import { closeReason, evaluateRules, goneTrades, isStopLossClose } from './alerts'
+
+const trade = (id, extra = {}) => ({ id, instrument: 'EUR_USD', long: true, entry: 1.1, sl: 1.095, pnl: -20, ...extra })
+
+describe('goneTrades', () => {
+  it('lists the trades missing from the new positions', () => {
+    expect(goneTrades([trade('1'), trade('2')], [trade('2')]).map(t => t.id)).toEqual(['1'])
+  })
+})
+
+describe('closeReason', () => {
+  it('reads the reason of the CLOSED event', () => {
+    const events = [{ type: 'OPENED', data: {} }, { type: 'CLOSED', data: { reason: 'STOP_LOSS_ORDER' } }]
+    expect(closeReason(events)).toBe('STOP_LOSS_ORDER')
+    expect(isStopLossClose(closeReason(events))).toBe(true)
+  })
+
+  it('is unknown until the close is recorded', () => {
+    expect(closeReason([{ type: 'OPENED', data: {} }])).toBeNull()
+  })
+
+  it('does not treat manual or kill-switch closes as stops', () => {
+    expect(isStopLossClose(closeReason([{ type: 'CLOSED', data: { reason: 'MARKET_ORDER_TRADE_CLOSE' } }]))).toBe(false)
+  })
+})
+
+describe('evaluateRules', () => {
+  const slRule = { id: 'r1', type: 'sl_hit', instrument: '', enabled: true }
+
+  it('fires sl_hit only for the trades confirmed as stopped', () => {
+    const fired = evaluateRules([slRule], { trades: [], prices: {} }, { trades: [], prices: {}, stopped: [trade('7')] }, {})
+    expect(fired).toHaveLength(1)
+    expect(fired[0].message).toContain('#7')
+    expect(evaluateRules([slRule], { trades: [trade('7')], prices: {} }, { trades: [], prices: {}, stopped: [] }, {})).toEqual([])
+  })
+
+  it('fires a price cross between two polls', () => {
+    const rule = { id: 'r2', type: 'price', instrument: 'EUR_USD', op: 'cross', level: '1.085', enabled: true }
+    const fired = evaluateRules([rule], { prices: { EUR_USD: 1.0849 } }, { prices: { EUR_USD: 1.0851 } }, {})
+    expect(fired.map(f => f.rule.id)).toEqual(['r2'])
+  })
+})
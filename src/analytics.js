@@ -0,0 +1,296 @@
+// Performance analytics computed from the raw trade list (GET /api/trades)
+// rather than the pre-aggregated /api/trades/stats.
+
+const TRADING_DAYS = 252
+const DAY_MS = 86400000
+
+export const R_BUCKETS = [
+  { label: '≤ -2R', max: -2 },
+  { label: '-2R / -1R', max: -1 },
+  { label: '-1R / 0', max: 0 },
+  { label: '0 / 1R', max: 1 },
+  { label: '1R / 2R', max: 2 },
+  { label: '2R / 3R', max: 3 },
+  { label: '≥ 3R', max: Infinity },
+]
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null)
+
+const round = (value, digits = 2) => (value == null || !Number.isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits)
+
+export const isClosed = (t) => t.outcome && t.outcome !== 'open' && t.outcome !== 'rejected' && t.realized_pnl != null
+
+export const closedTrades = (trades) =>
+  (trades || [])
+    .filter(isClosed)
+    .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')))
+
+// Cumulative PnL after each closed trade, with the running drawdown from the
+// previous equity peak (the curve starts at 0).
+export const equityCurve = (closed) => {
+  let equity = 0
+  let peak = 0
+  return closed.map(t => {
+    equity += Number(t.realized_pnl)
+    peak = Math.max(peak, equity)
+    return { timestamp: t.timestamp, date: t.timestamp?.slice(0, 10) || '', pnl: Number(t.realized_pnl), equity: round(equity), drawdown: round(equity - peak) }
+  })
+}
+
+// Deepest peak-to-trough drop, and how long equity stayed under that peak:
+// until it was regained, or until the last trade if it never was.
+export const maxDrawdown = (curve) => {
+  let peak = { equity: 0, timestamp: curve[0]?.timestamp }
+  let worst = null
+  curve.forEach(point => {
+    if (point.equity >= peak.equity) {
+      peak = point
+      return
+    }
+    const amount = point.equity - peak.equity
+    if (!worst || amount < worst.amount) worst = { amount, peakEquity: peak.equity, start: peak.timestamp, trough: point.timestamp }
+  })
+  if (!worst) return { amount: 0, start: null, trough: null, end: null, durationDays: 0, recovered: true }
+
+  const afterTrough = curve.filter(p => p.timestamp > worst.trough)
+  const recovery = afterTrough.find(p => p.equity >= worst.peakEquity)
+  const end = recovery ? recovery.timestamp : curve[curve.length - 1].timestamp
+  return {
+    amount: round(worst.amount),
+    start: worst.start,
+    trough: worst.trough,
+    end,
+    durationDays: Math.round((new Date(end) - new Date(worst.start)) / DAY_MS),
+    recovered: Boolean(recovery),
+  }
+}
+
+// PnL per calendar day in `timeZone`, so a late-evening trade counts on the
+// day it was closed locally rather than its UTC date.
+export const dailyPnl = (closed, timeZone = ANALYTICS_TIMEZONE) => {
+  const byDay = {}
+  closed.forEach(t => {
+    const day = t.timestamp && zonedParts(t.timestamp, timeZone).day
+    if (day) byDay[day] = (byDay[day] || 0) + Number(t.realized_pnl)
+  })
+  return Object.keys(byDay).sort().map(day => ({ day, pnl: byDay[day] }))
+}
+
+// Annualised on daily PnL (days with at least one closed trade). Both ratios
+// are scale-free, so CHF amounts can be used in place of returns.
+export const sharpeSortino = (daily) => {
+  const values = daily.map(d => d.pnl)
+  if (values.length < 2) return { sharpe: null, sortino: null }
+  const avg = mean(values)
+  const std = Math.sqrt(values.reduce((acc, v) => acc + (v - avg) ** 2, 0) / (values.length - 1))
+  const downside = Math.sqrt(values.reduce((acc, v) => acc + Math.min(v, 0) ** 2, 0) / values.length)
+  const scale = Math.sqrt(TRADING_DAYS)
+  return {
+    sharpe: std > 0 ? round((avg / std) * scale) : null,
+    sortino: downside > 0 ? round((avg / downside) * scale) : null,
+  }
+}
+
+const directionSign = (t) => (t.direction === 'SHORT' ? -1 : 1)
+
+const initialStop = (t) => Number(t.initial_sl ?? t.sl)
+
+const entryPrice = (t) => Number(t.fill_price ?? t.entry)
+
+// Risk per unit from entry to the initial stop; null when it cannot be known.
+export const riskPerUnit = (t) => {
+  const risk = Math.abs(entryPrice(t) - initialStop(t))
+  return Number.isFinite(risk) && risk > 0 ? risk : null
+}
+
+// Amount at risk when the trade was opened: the risk it was sized for when
+// recorded, otherwise risk per unit × initial units.
+export const initialRisk = (t) => {
+  const recorded = Number(t.risk_chf ?? t.risk_amount)
+  if (Number.isFinite(recorded) && recorded > 0) return recorded
+  const risk = riskPerUnit(t)
+  const units = Math.abs(Number(t.initial_units ?? t.units))
+  return risk != null && units ? risk * units : null
+}
+
+// Result in multiples of the initial risk, from the realized PnL so the
+// TP1/TP2 partial closes count, not only the price of the final exit.
+export const rMultiple = (t) => {
+  const risk = initialRisk(t)
+  if (risk == null || !Number.isFinite(Number(t.realized_pnl))) return null
+  return round(Number(t.realized_pnl) / risk)
+}
+
+export const rDistribution = (rs) =>
+  R_BUCKETS.map((bucket, i) => {
+    const min = i === 0 ? -Infinity : R_BUCKETS[i - 1].max
+    return { label: bucket.label, count: rs.filter(r => r > min && r <= bucket.max).length }
+  })
+
+// Breakevens end both streaks.
+export const streaks = (closed) => {
+  let longestWin = 0
+  let longestLoss = 0
+  let win = 0
+  let loss = 0
+  closed.forEach(t => {
+    win = t.outcome === 'win' ? win + 1 : 0
+    loss = t.outcome === 'loss' ? loss + 1 : 0
+    longestWin = Math.max(longestWin, win)
+    longestLoss = Math.max(longestLoss, loss)
+  })
+  return { longestWin, longestLoss, current: win ? { type: 'win', length: win } : loss ? { type: 'loss', length: loss } : null }
+}
+
+const PRICE_KEYS = ['price', 'current_price', 'mid', 'high', 'low', 'close_price', 'exit_price']
+
+// Maximum adverse / favourable excursion in R, from the prices seen in the
+// trade's events (or the backend's mae_price/mfe_price when provided).
+export const excursion = (t, events = []) => {
+  const risk = riskPerUnit(t)
+  if (risk == null) return null
+  const prices = []
+  if (t.mae_price != null) prices.push(Number(t.mae_price))
+  if (t.mfe_price != null) prices.push(Number(t.mfe_price))
+  events.forEach(ev => {
+    PRICE_KEYS.forEach(key => {
+      const value = Number(ev.data?.[key])
+      if (Number.isFinite(value) && value > 0) prices.push(value)
+    })
+  })
+  if (!prices.length) return null
+  const moves = prices.map(p => ((p - entryPrice(t)) * directionSign(t)) / risk)
+  return { mae: round(Math.min(0, ...moves)), mfe: round(Math.max(0, ...moves)) }
+}
+
+export const tradeKey = (t) => t.doc_path || t.oanda_trade_id || t.trade_id
+
+// Everything the analytics panel shows for one set of trades; `eventsByTrade`
+// maps tradeKey(t) to that trade's events for MAE/MFE; daily ratios use days
+// in `timeZone`.
+export const computeAnalytics = (trades, eventsByTrade = {}, timeZone = ANALYTICS_TIMEZONE) => {
+  const closed = closedTrades(trades)
+  const curve = equityCurve(closed)
+  const pnls = closed.map(t => Number(t.realized_pnl))
+  const wins = pnls.filter(p => p > 0)
+  const losses = pnls.filter(p => p < 0)
+  const rs = closed.map(rMultiple).filter(r => r != null)
+  const excursions = closed.map(t => excursion(t, eventsByTrade[tradeKey(t)])).filter(Boolean)
+
+  return {
+    count: closed.length,
+    totalPnl: round(pnls.reduce((a, b) => a + b, 0)),
+    curve,
+    drawdown: maxDrawdown(curve),
+    ...sharpeSortino(dailyPnl(closed, timeZone)),
+    expectancy: round(mean(pnls)),
+    winRate: closed.length ? round((wins.length / closed.length) * 100, 1) : null,
+    avgWin: round(mean(wins)),
+    avgLoss: round(mean(losses)),
+    rCount: rs.length,
+    avgR: round(mean(rs)),
+    rDistribution: rDistribution(rs),
+    streaks: streaks(closed),
+    excursionCount: excursions.length,
+    avgMae: round(mean(excursions.map(e => e.mae))),
+    avgMfe: round(mean(excursions.map(e => e.mfe))),
+  }
+}
+
+/* ─── Calendar & time-of-day breakdowns ─── */
+export const ANALYTICS_TIMEZONE = 'Europe/Zurich'
+export const WEEKDAY_LABELS = ['Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam', 'Dim']
+
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 }
+
+const partsFormats = new Map()
+
+// Calendar day, month, hour and weekday (0 = Monday) of a timestamp in `timeZone`.
+export const zonedParts = (iso, timeZone = ANALYTICS_TIMEZONE) => {
+  if (!partsFormats.has(timeZone)) {
+    partsFormats.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', weekday: 'short',
+    }))
+  }
+  const p = Object.fromEntries(partsFormats.get(timeZone).formatToParts(new Date(iso)).map(x => [x.type, x.value]))
+  return { day: `${p.year}-${p.month}-${p.day}`, month: `${p.year}-${p.month}`, hour: Number(p.hour), weekday: WEEKDAY_INDEX[p.weekday] }
+}
+
+const summarize = (closed, keyOf) => {
+  const groups = new Map()
+  closed.forEach(t => {
+    const key = keyOf(t)
+    if (key == null) return
+    const g = groups.get(key) || { key, pnl: 0, count: 0, wins: 0 }
+    g.pnl += Number(t.realized_pnl)
+    g.count += 1
+    if (t.outcome === 'win') g.wins += 1
+    groups.set(key, g)
+  })
+  return groups
+}
+
+const toRow = (g, label) => ({
+  key: g.key,
+  label,
+  pnl: round(g.pnl),
+  count: g.count,
+  winRate: g.count ? round((g.wins / g.count) * 100, 1) : null,
+})
+
+// PnL and win rate by weekday, hour, month (all in `timeZone`) and instrument.
+export const pnlBreakdowns = (trades, timeZone = ANALYTICS_TIMEZONE) => {
+  const closed = closedTrades(trades).filter(t => t.timestamp)
+  const withParts = closed.map(t => ({ ...t, local: zonedParts(t.timestamp, timeZone) }))
+  const empty = (key) => ({ key, pnl: 0, count: 0, wins: 0 })
+
+  const weekdays = summarize(withParts, t => t.local.weekday)
+  const hours = summarize(withParts, t => t.local.hour)
+  const hourKeys = [...hours.keys()]
+  const firstHour = Math.min(...hourKeys)
+  const lastHour = Math.max(...hourKeys)
+  const months = summarize(withParts, t => t.local.month)
+  const instruments = summarize(withParts, t => t.instrument || null)
+
+  return {
+    weekday: WEEKDAY_LABELS.map((label, i) => toRow(weekdays.get(i) || empty(i), label)),
+    hour: hourKeys.length
+      ? Array.from({ length: lastHour - firstHour + 1 }, (_, i) => firstHour + i)
+        .map(h => toRow(hours.get(h) || empty(h), `${String(h).padStart(2, '0')}h`))
+      : [],
+    month: [...months.keys()].sort().map(m => toRow(months.get(m), m)),
+    instrument: [...instruments.values()].sort((a, b) => b.pnl - a.pnl).map(g => toRow(g, g.key.replace('_', '/'))),
+  }
+}
+
+const addDays = (day, n) => new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10)
+
+// GitHub-style grid: one column per week (Monday first) from the first to the
+// last trading day, each cell holding that day's PnL and trades (in `timeZone`).
+export const calendarHeatmap = (trades, timeZone = ANALYTICS_TIMEZONE) => {
+  const closed = closedTrades(trades).filter(t => t.timestamp)
+  const byDay = new Map()
+  closed.forEach(t => {
+    const { day } = zonedParts(t.timestamp, timeZone)
+    const cell = byDay.get(day) || { day, pnl: 0, trades: [] }
+    cell.pnl += Number(t.realized_pnl)
+    cell.trades.push(t)
+    byDay.set(day, cell)
+  })
+  if (!byDay.size) return { weeks: [], maxAbs: 0 }
+
+  const days = [...byDay.keys()].sort()
+  const mondayIndex = (day) => (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7
+  const first = addDays(days[0], -mondayIndex(days[0]))
+  const last = days[days.length - 1]
+  const weeks = []
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    if (mondayIndex(day) === 0) weeks.push([])
+    const cell = byDay.get(day)
+    weeks[weeks.length - 1].push(cell ? { ...cell, pnl: round(cell.pnl) } : { day, pnl: null, trades: [] })
+  }
+  const maxAbs = Math.max(...[...byDay.values()].map(c => Math.abs(c.pnl)))
+  return { weeks, maxAbs }
+}
@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest'
+import { closedTrades, computeAnalytics, dailyPnl, equityCurve, excursion, maxDrawdown, rMultiple, sharpeSortino, streaks } from './analytics'
+
+// Five closed EUR_USD trades over four days, plus an open and a rejected one
+// that every metric must ignore. E hit TP1 then its breakeven stop: it exits
+// at entry but keeps the PnL of the partial close.
+const TRADES = [
+  { doc_path: 'trades/e', timestamp: '2024-03-07T09:00:00Z', direction: 'LONG', entry: 1.1, sl: 1.096, exit_price: 1.1, units: 5000, realized_pnl: 80, risk_chf: 40, outcome: 'win' },
+  { doc_path: 'trades/a', timestamp: '2024-03-04T09:00:00Z', direction: 'LONG', entry: 1.1, sl: 1.095, units: 10000, realized_pnl: 100, risk_chf: 50, outcome: 'win' },
+  { doc_path: 'trades/b', timestamp: '2024-03-04T14:00:00Z', direction: 'SHORT', entry: 1.2, sl: 1.205, units: 10000, realized_pnl: -50, outcome: 'loss', mae_price: 1.2025, mfe_price: 1.195 },
+  { doc_path: 'trades/c', timestamp: '2024-03-05T10:00:00Z', direction: 'LONG', entry: 1.1, sl: 1.095, units: 10000, realized_pnl: -30, risk_chf: 50, outcome: 'loss' },
+  { doc_path: 'trades/d', timestamp: '2024-03-06T10:00:00Z', direction: 'LONG', entry: 1.1, sl: 1.095, units: 10000, realized_pnl: 0, risk_chf: 50, outcome: 'breakeven' },
+  { doc_path: 'trades/open', timestamp: '2024-03-08T10:00:00Z', direction: 'LONG', entry: 1.1, sl: 1.095, outcome: 'open' },
+  { doc_path: 'trades/rej', timestamp: '2024-03-08T11:00:00Z', outcome: 'rejected', realized_pnl: 0 },
+]
+
+const closed = closedTrades(TRADES)
+const curve = equityCurve(closed)
+
+describe('equity and drawdown', () => {
+  it('sorts closed trades by time and drops open and rejected ones', () => {
+    expect(closed.map(t => t.doc_path)).toEqual(['trades/a', 'trades/b', 'trades/c', 'trades/d', 'trades/e'])
+  })
+
+  it('accumulates PnL with the drawdown from the running peak', () => {
+    expect(curve.map(p => p.equity)).toEqual([100, 50, 20, 20, 100])
+    expect(curve.map(p => p.drawdown)).toEqual([0, -50, -80, -80, 0])
+  })
+
+  it('reports the deepest drawdown and when it was recovered', () => {
+    expect(maxDrawdown(curve)).toEqual({
+      amount: -80,
+      start: '2024-03-04T09:00:00Z',
+      trough: '2024-03-05T10:00:00Z',
+      end: '2024-03-07T09:00:00Z',
+      durationDays: 3,
+      recovered: true,
+    })
+  })
+
+  it('runs an unrecovered drawdown to the last trade', () => {
+    const dd = maxDrawdown(equityCurve(closed.slice(0, 4)))
+    expect(dd).toMatchObject({ amount: -80, end: '2024-03-06T10:00:00Z', recovered: false })
+  })
+})
+
+describe('sharpeSortino', () => {
+  it('annualises the daily PnL', () => {
+    const daily = dailyPnl(closed)
+    expect(daily).toEqual([
+      { day: '2024-03-04', pnl: 50 },
+      { day: '2024-03-05', pnl: -30 },
+      { day: '2024-03-06', pnl: 0 },
+      { day: '2024-03-07', pnl: 80 },
+    ])
+    // mean 25, sample std sqrt(7300 / 3), downside deviation sqrt(900 / 4) = 15
+    expect(sharpeSortino(daily)).toEqual({ sharpe: 8.05, sortino: 26.46 })
+  })
+
+  it('needs at least two days', () => {
+    expect(sharpeSortino([{ day: '2024-03-04', pnl: 10 }])).toEqual({ sharpe: null, sortino: null })
+  })
+})
+
+describe('dailyPnl', () => {
+  const late = [
+    { timestamp: '2024-03-04T22:30:00Z', realized_pnl: 20 },
+    { timestamp: '2024-03-05T09:00:00Z', realized_pnl: -5 },
+  ]
+
+  it('buckets trades by their day in the display time zone', () => {
+    // 22:30 UTC is already 23:30 in Zurich and 07:30 the next day in Tokyo
+    expect(dailyPnl(late, 'Europe/Zurich')).toEqual([{ day: '2024-03-04', pnl: 20 }, { day: '2024-03-05', pnl: -5 }])
+    expect(dailyPnl(late, 'Asia/Tokyo')).toEqual([{ day: '2024-03-05', pnl: 15 }])
+  })
+})
+
+describe('rMultiple', () => {
+  it('divides the realized PnL by the risk the trade was sized for', () => {
+    expect(closed.map(rMultiple)).toEqual([2, -1, -0.6, 0, 2])
+  })
+
+  it('counts partial closes of a trade that exits at entry', () => {
+    expect(rMultiple(TRADES[0])).toBe(2)
+  })
+
+  it('is unknown without a stop or a recorded risk', () => {
+    expect(rMultiple({ entry: 1.1, units: 1000, realized_pnl: 10 })).toBeNull()
+  })
+})
+
+describe('streaks', () => {
+  it('ends streaks on breakevens and reports the current one', () => {
+    expect(streaks(closed)).toEqual({ longestWin: 1, longestLoss: 2, current: { type: 'win', length: 1 } })
+  })
+})
+
+describe('excursion', () => {
+  it('measures MAE/MFE in R from the event prices', () => {
+    const events = [{ data: { price: 1.0975 } }, { data: { high: 1.11, low: 1.099 } }]
+    expect(excursion(TRADES[1], events)).toEqual({ mae: -0.5, mfe: 2 })
+  })
+
+  it('uses the backend mae_price/mfe_price, signed for shorts', () => {
+    expect(excursion(TRADES[2])).toEqual({ mae: -0.5, mfe: 1 })
+  })
+
+  it('is unknown without any price', () => {
+    expect(excursion(TRADES[3], [])).toBeNull()
+  })
+})
+
+describe('computeAnalytics', () => {
+  it('summarises the fixture', () => {
+    const a = computeAnalytics(TRADES, { 'trades/a': [{ data: { price: 1.0975 } }, { data: { high: 1.11 } }] })
+    expect(a).toMatchObject({
+      count: 5,
+      totalPnl: 100,
+      expectancy: 20,
+      winRate: 40,
+      avgWin: 90,
+      avgLoss: -40,
+      rCount: 5,
+      avgR: 0.48,
+      excursionCount: 2,
+      avgMae: -0.5,
+      avgMfe: 1.5,
+    })
+    expect(a.rDistribution.map(b => b.count)).toEqual([0, 1, 2, 0, 2, 0, 0])
+  })
+})
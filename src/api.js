@@ -0,0 +1,84 @@
+import { auth } from './firebase'
+
+export class ApiError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+  }
+}
+
+// Firebase caches the ID token and refreshes it on its own once it is close to
+// expiry; forceRefresh is only used to retry a request the backend rejected.
+const authHeaders = async (forceRefresh = false) => {
+  const current = auth.currentUser
+  if (!current) return {}
+  const token = await current.getIdToken(forceRefresh)
+  return { Authorization: `Bearer ${token}` }
+}
+
+export const createApiClient = ({ baseUrl, onUnauthorized }) => {
+  const send = async (endpoint, options, forceRefresh) => {
+    const { headers, ...rest } = options
+    return fetch(`${baseUrl}${endpoint}`, {
+      ...rest,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await authHeaders(forceRefresh)),
+        ...headers,
+      },
+    })
+  }
+
+  const authorizedFetch = async (endpoint, options) => {
+    let resp = await send(endpoint, options, false)
+    if (resp.status === 401 && auth.currentUser) {
+      resp = await send(endpoint, options, true)
+    }
+    if (resp.status === 401) {
+      onUnauthorized?.()
+      throw new ApiError('Session expirée, reconnectez-vous', 401)
+    }
+    return resp
+  }
+
+  const fetchJson = async (endpoint, options = {}) => {
+    const resp = await authorizedFetch(endpoint, options)
+    const data = await resp.json().catch(() => ({}))
+    const tupleStatus = Array.isArray(data) && typeof data[data.length - 1] === 'number' ? data[data.length - 1] : null
+    if (!resp.ok || (tupleStatus && tupleStatus >= 400)) {
+      const payload = Array.isArray(data) ? data[0] : data
+      const message = payload?.error || payload?.message || resp.statusText || `HTTP ${tupleStatus}`
+      throw new ApiError(message || 'Erreur API', tupleStatus || resp.status)
+    }
+    return data
+  }
+
+  // Server-sent events read through fetch rather than EventSource, which cannot
+  // carry the Authorization header. Resolves when the server closes the stream.
+  const streamJson = async (endpoint, { signal, onMessage }) => {
+    const resp = await authorizedFetch(endpoint, { signal, headers: { Accept: 'text/event-stream' } })
+    if (!resp.ok || !resp.body) {
+      throw new ApiError(resp.statusText || 'Flux indisponible', resp.status)
+    }
+    const reader = resp.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) return
+      buffer += value
+      const chunks = buffer.split(/\r?\n\r?\n/)
+      buffer = chunks.pop()
+      chunks.forEach((chunk) => {
+        const payload = chunk
+          .split(/\r?\n/)
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trimStart())
+          .join('\n')
+        if (payload) onMessage(JSON.parse(payload))
+      })
+    }
+  }
+
+  return { fetchJson, streamJson }
+}
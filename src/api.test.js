@@ -0,0 +1,82 @@
+import { createServer } from 'node:http'
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest'
+
+const { auth } = vi.hoisted(() => ({ auth: { currentUser: null } }))
+vi.mock('./firebase', () => ({ auth }))
+
+const { ApiError, createApiClient } = await import('./api')
+
+// Local mock backend: accepts only the token listed in `validTokens` and
+// records the Authorization header of every request.
+let server
+let baseUrl
+let validTokens
+let seen
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    seen.push(req.headers.authorization)
+    const ok = validTokens.some(t => req.headers.authorization === `Bearer ${t}`)
+    res.writeHead(ok ? 200 : 401, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(ok ? { ok: true } : { error: 'unauthorized' }))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+beforeEach(() => {
+  seen = []
+  validTokens = ['fresh']
+})
+
+const signIn = (tokens) => {
+  const getIdToken = vi.fn(async (forceRefresh) => (forceRefresh ? tokens.refreshed : tokens.cached))
+  auth.currentUser = { getIdToken }
+  return getIdToken
+}
+
+describe('createApiClient', () => {
+  it('sends the Firebase ID token as a Bearer header', async () => {
+    const getIdToken = signIn({ cached: 'fresh', refreshed: 'fresh' })
+    const api = createApiClient({ baseUrl, onUnauthorized: vi.fn() })
+
+    await expect(api.fetchJson('/api/positions')).resolves.toEqual({ ok: true })
+    expect(seen).toEqual(['Bearer fresh'])
+    expect(getIdToken).toHaveBeenCalledWith(false)
+  })
+
+  it('retries once with a force-refreshed token after a 401', async () => {
+    const getIdToken = signIn({ cached: 'expired', refreshed: 'fresh' })
+    const onUnauthorized = vi.fn()
+    const api = createApiClient({ baseUrl, onUnauthorized })
+
+    await expect(api.fetchJson('/api/positions')).resolves.toEqual({ ok: true })
+    expect(seen).toEqual(['Bearer expired', 'Bearer fresh'])
+    expect(getIdToken).toHaveBeenLastCalledWith(true)
+    expect(onUnauthorized).not.toHaveBeenCalled()
+  })
+
+  it('calls onUnauthorized when the refreshed token is rejected too', async () => {
+    signIn({ cached: 'expired', refreshed: 'revoked' })
+    const onUnauthorized = vi.fn()
+    const api = createApiClient({ baseUrl, onUnauthorized })
+
+    const err = await api.fetchJson('/api/positions').catch(e => e)
+    expect(err).toBeInstanceOf(ApiError)
+    expect(err.status).toBe(401)
+    expect(seen).toEqual(['Bearer expired', 'Bearer revoked'])
+    expect(onUnauthorized).toHaveBeenCalledOnce()
+  })
+
+  it('sends no header and does not retry when signed out', async () => {
+    auth.currentUser = null
+    const onUnauthorized = vi.fn()
+    const api = createApiClient({ baseUrl, onUnauthorized })
+
+    await expect(api.fetchJson('/api/positions')).rejects.toThrow(ApiError)
+    expect(seen).toEqual([undefined])
+    expect(onUnauthorized).toHaveBeenCalledOnce()
+  })
+})
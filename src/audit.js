@@ -0,0 +1,56 @@
+// Audit trail of configuration changes and destructive actions. Entries are
+// posted to /api/audit after each successful action; the backend stamps them
+// with the authenticated user.
+
+export const AUDIT_ACTIONS = {
+  strategy_toggle: 'Activation stratégie',
+  strategy_config: 'Paramètres stratégie',
+  risk_change: 'Risque',
+  trade_delete: 'Suppression trade',
+  trade_restore: 'Restauration trade',
+  position_close: 'Clôture position',
+  position_modify: 'Modification SL/TP',
+  order_place: 'Ordre manuel',
+}
+
+// How long the "Annuler" toast stays after a deletion; restoring stays
+// possible from the Audit tab until the backend's purge_at.
+export const UNDO_TOAST_MS = 15000
+
+export const tradeSummary = (t) => ({
+  strategy: t.strategy,
+  instrument: t.instrument,
+  direction: t.direction,
+  timestamp: t.timestamp,
+  outcome: t.outcome,
+  realized_pnl: t.realized_pnl,
+})
+
+// A deletion can be undone until its purge time, unless it already was.
+export const isRestorable = (entry, restoredTargets, now = Date.now()) =>
+  entry.action === 'trade_delete'
+  && !restoredTargets.has(entry.target)
+  && Boolean(entry.after?.purge_at)
+  && Date.parse(entry.after.purge_at) > now
+
+// Restores after a deletion clear it; a later deletion of the same trade
+// makes it restorable again.
+export const restoredTargets = (entries) => {
+  const latest = new Map()
+  ;[...entries]
+    .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')))
+    .forEach(e => {
+      if (e.action === 'trade_delete' || e.action === 'trade_restore') latest.set(e.target, e.action)
+    })
+  return new Set([...latest].filter(([, action]) => action === 'trade_restore').map(([target]) => target))
+}
+
+export const formatAuditValue = (value) => {
+  if (value == null) return '—'
+  if (typeof value === 'boolean') return value ? 'ON' : 'OFF'
+  if (typeof value !== 'object') return String(value)
+  return Object.entries(value)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`)
+    .join(' · ')
+}
@@ -0,0 +1,79 @@
+export const TIMEFRAMES = [
+  { key: 'M1', label: 'M1', seconds: 60, days: 1 },
+  { key: 'M5', label: 'M5', seconds: 300, days: 1 },
+  { key: 'M15', label: 'M15', seconds: 900, days: 1 },
+  { key: 'H1', label: 'H1', seconds: 3600, days: 5 },
+  { key: 'D', label: 'D', seconds: 86400, days: 60 },
+]
+
+export const findTimeframe = (key) => TIMEFRAMES.find(tf => tf.key === key) || TIMEFRAMES[1]
+
+export const shiftDay = (day, offset) => {
+  const d = new Date(`${day}T00:00:00Z`)
+  d.setUTCDate(d.getUTCDate() + offset)
+  return d.toISOString().slice(0, 10)
+}
+
+// `day` is the last day shown; higher timeframes also ask for the days before it.
+export const candlesEndpoint = (instrObj, day, tf) => {
+  const params = new URLSearchParams({ day, granularity: tf.key })
+  if (tf.days > 1) params.append('from', shiftDay(day, 1 - tf.days))
+  return instrObj.source === 'oanda'
+    ? `/api/candles/oanda?instrument=${encodeURIComponent(instrObj.sym)}&${params.toString()}`
+    : `/api/candles?instrument=${encodeURIComponent(instrObj.sym)}&${params.toString()}`
+}
+
+// Normalises polygon ({ sym, s, o, h, l, c, v }) and OANDA ({ time, open, ..., volume }) candles
+// into sorted lightweight-charts bars.
+export const toChartBars = (raw, instrObj) => {
+  const isOanda = instrObj.source === 'oanda'
+  const sym = `I:${instrObj.sym}`
+  return raw
+    .filter(c => isOanda || !c.sym || c.sym === sym)
+    .map(c => ({
+      time: isOanda
+        ? Math.floor(Date.parse(c.time) / 1000)
+        : Math.floor((c.s || 0) / 1000),
+      open: c.o ?? c.open,
+      high: c.h ?? c.high,
+      low: c.l ?? c.low,
+      close: c.c ?? c.close,
+      volume: c.v ?? c.volume ?? 0,
+    }))
+    .filter(d => d.open != null && d.time > 0)
+    .sort((a, b) => a.time - b.time)
+}
+
+export const bucketStart = (time, seconds) => Math.floor(time / seconds) * seconds
+
+// Folds a bar into the last aggregated bar when both share a bucket. Bars that
+// the backend already returns at the requested granularity pass through as-is.
+// A live update of the same source bar replaces its volume instead of adding it.
+export const mergeBar = (bars, bar, seconds) => {
+  const time = bucketStart(bar.time, seconds)
+  const last = bars[bars.length - 1]
+  if (last && last.time === time) {
+    const priorVolume = last.baseTime === bar.time ? last.volume - last.baseVolume : last.volume
+    const merged = {
+      time,
+      open: last.open,
+      high: Math.max(last.high, bar.high),
+      low: Math.min(last.low, bar.low),
+      close: bar.close,
+      volume: priorVolume + bar.volume,
+      baseTime: bar.time,
+      baseVolume: bar.volume,
+    }
+    bars[bars.length - 1] = merged
+    return merged
+  }
+  const next = { ...bar, time, baseTime: bar.time, baseVolume: bar.volume }
+  bars.push(next)
+  return next
+}
+
+export const aggregateBars = (bars, seconds) => {
+  const out = []
+  bars.forEach(bar => mergeBar(out, bar, seconds))
+  return out
+}
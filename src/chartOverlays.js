@@ -0,0 +1,418 @@
+import { LineSeries, PriceScaleMode, customSeriesDefaultOptions } from 'lightweight-charts'
+import { atr, ema, ichimoku, rsi, vwap } from './indicators'
+
+const SUB_PANE_HEIGHT = 120
+
+const lineOptions = (color, extra = {}) => ({
+  color,
+  lineWidth: 1,
+  priceLineVisible: false,
+  lastValueVisible: false,
+  crosshairMarkerVisible: false,
+  ...extra,
+})
+
+/* ─── Ichimoku cloud (custom series filling between senkou A and B) ─── */
+class CloudRenderer {
+  update(data, options) {
+    this.data = data
+    this.options = options
+  }
+
+  draw(target, priceToCoordinate) {
+    const { bars, visibleRange } = this.data || {}
+    if (!bars || !visibleRange) return
+    target.useBitmapCoordinateSpace(({ context, horizontalPixelRatio: hr, verticalPixelRatio: vr }) => {
+      const first = Math.max(visibleRange.from, 1)
+      const last = Math.min(visibleRange.to + 1, bars.length)
+      for (let i = first; i < last; i++) {
+        const prev = bars[i - 1]
+        const cur = bars[i]
+        const points = [
+          [prev.x, priceToCoordinate(prev.originalData.a)],
+          [cur.x, priceToCoordinate(cur.originalData.a)],
+          [cur.x, priceToCoordinate(cur.originalData.b)],
+          [prev.x, priceToCoordinate(prev.originalData.b)],
+        ]
+        if (points.some(([, y]) => y == null)) continue
+        context.beginPath()
+        points.forEach(([x, y], idx) => {
+          if (idx === 0) context.moveTo(x * hr, y * vr)
+          else context.lineTo(x * hr, y * vr)
+        })
+        context.closePath()
+        context.fillStyle = cur.originalData.a >= cur.originalData.b ? this.options.upColor : this.options.downColor
+        context.fill()
+      }
+    })
+  }
+}
+
+class CloudSeries {
+  constructor() {
+    this._renderer = new CloudRenderer()
+  }
+
+  renderer() {
+    return this._renderer
+  }
+
+  update(data, options) {
+    this._renderer.update(data, options)
+  }
+
+  priceValueBuilder(row) {
+    return [Math.min(row.a, row.b), Math.max(row.a, row.b), row.a]
+  }
+
+  isWhitespace(row) {
+    return row.a == null || row.b == null
+  }
+
+  defaultOptions() {
+    return {
+      ...customSeriesDefaultOptions,
+      color: 'transparent',
+      upColor: 'rgba(38, 166, 154, 0.15)',
+      downColor: 'rgba(239, 83, 80, 0.15)',
+      priceLineVisible: false,
+      lastValueVisible: false,
+    }
+  }
+}
+
+export const COMPARE_COLORS = ['#f59e0b', '#a78bfa', '#38bdf8', '#f472b6']
+
+// Compares instruments as % change lines on the left price scale, switched to
+// percentage mode so every line starts from 0% at the first visible bar. The
+// charted instrument gets its own line there: the candles and their price
+// overlays (EMA, Ichimoku, VWAP) keep the right scale in price.
+export const addCompareLines = (chart, base, comparisons) => {
+  if (comparisons.length === 0) return
+  chart.priceScale('left').applyOptions({ visible: true, borderColor: '#2a2e39', mode: PriceScaleMode.Percentage })
+  ;[base, ...comparisons].forEach(({ label, color, bars }) => {
+    const line = chart.addSeries(LineSeries, lineOptions(color, { lineWidth: 2, lastValueVisible: true, title: label, priceScaleId: 'left' }))
+    line.setData(bars.map(b => ({ time: b.time, value: b.close })))
+  })
+}
+
+/* ─── Session boxes (series primitive shading each session's high/low) ─── */
+class SessionBoxesRenderer {
+  constructor(source) {
+    this._source = source
+  }
+
+  draw(target) {
+    const { chart, series, ranges } = this._source
+    if (!chart) return
+    const timeScale = chart.timeScale()
+    target.useMediaCoordinateSpace(({ context }) => {
+      ranges.forEach(range => {
+        if (range.high == null) return
+        const x1 = timeScale.timeToCoordinate(range.firstTime)
+        const x2 = timeScale.timeToCoordinate(range.lastTime)
+        const yHigh = series.priceToCoordinate(range.high)
+        const yLow = series.priceToCoordinate(range.low)
+        if ([x1, x2, yHigh, yLow].some(v => v == null)) return
+        const logical = timeScale.coordinateToLogical(x1)
+        const half = logical != null ? (timeScale.logicalToCoordinate(logical + 1) - x1) / 2 : 0
+        const left = x1 - half
+        const width = x2 - x1 + half * 2
+        context.globalAlpha = 0.12
+        context.fillStyle = range.color
+        context.fillRect(left, yHigh, width, yLow - yHigh)
+        context.globalAlpha = 0.8
+        context.strokeStyle = range.color
+        context.lineWidth = 1
+        context.strokeRect(left, yHigh, width, yLow - yHigh)
+        context.globalAlpha = 1
+        context.fillStyle = range.color
+        context.font = '10px sans-serif'
+        context.fillText(range.label, left + 4, yHigh + 12)
+      })
+    })
+  }
+}
+
+class SessionBoxes {
+  constructor(ranges) {
+    this.ranges = ranges
+    this.chart = null
+    this.series = null
+    const renderer = new SessionBoxesRenderer(this)
+    this._paneViews = [{ zOrder: () => 'bottom', renderer: () => renderer }]
+  }
+
+  attached({ chart, series }) {
+    this.chart = chart
+    this.series = series
+  }
+
+  detached() {
+    this.chart = null
+    this.series = null
+  }
+
+  paneViews() {
+    return this._paneViews
+  }
+}
+
+export const attachSessionBoxes = (series, ranges) => series.attachPrimitive(new SessionBoxes(ranges))
+
+const cloudData = (spanA, spanB) => {
+  const bByTime = new Map(spanB.map(p => [p.time, p.value]))
+  return spanA
+    .filter(p => bByTime.has(p.time))
+    .map(p => ({ time: p.time, a: p.value, b: bByTime.get(p.time) }))
+}
+
+// Adds the enabled indicators to `chart`. `update(bars)` is called with the
+// full bar list whenever the candles change; `dispose()` removes the series so
+// new settings can be applied without rebuilding the chart. ATR and RSI get
+// their own panes.
+export const createIndicatorLayer = (chart, settings, baseHeight) => {
+  const layers = []
+  const added = []
+  let nextPane = 1
+  const addSeries = (...args) => {
+    const series = chart.addSeries(...args)
+    added.push(series)
+    return series
+  }
+
+  if (settings.ichimoku?.enabled) {
+    const cloud = chart.addCustomSeries(new CloudSeries())
+    added.push(cloud)
+    const tenkan = addSeries(LineSeries, lineOptions('#2962ff'))
+    const kijun = addSeries(LineSeries, lineOptions('#b71c1c'))
+    const chikou = addSeries(LineSeries, lineOptions('rgba(156, 39, 176, 0.7)'))
+    const spanA = addSeries(LineSeries, lineOptions('rgba(38, 166, 154, 0.7)'))
+    const spanB = addSeries(LineSeries, lineOptions('rgba(239, 83, 80, 0.7)'))
+    layers.push((bars) => {
+      const ichi = ichimoku(bars, settings.ichimoku)
+      tenkan.setData(ichi.tenkan)
+      kijun.setData(ichi.kijun)
+      chikou.setData(ichi.chikou)
+      spanA.setData(ichi.spanA)
+      spanB.setData(ichi.spanB)
+      cloud.setData(cloudData(ichi.spanA, ichi.spanB))
+    })
+  }
+
+  if (settings.emaFast?.enabled) {
+    const line = addSeries(LineSeries, lineOptions('#f59e0b', { lineWidth: 2 }))
+    layers.push((bars) => line.setData(ema(bars, settings.emaFast.period)))
+  }
+
+  if (settings.emaSlow?.enabled) {
+    const line = addSeries(LineSeries, lineOptions('#8b5cf6', { lineWidth: 2 }))
+    layers.push((bars) => line.setData(ema(bars, settings.emaSlow.period)))
+  }
+
+  if (settings.vwap?.enabled) {
+    const line = addSeries(LineSeries, lineOptions('#eab308', { lineStyle: 2, lineWidth: 2 }))
+    layers.push((bars) => line.setData(vwap(bars)))
+  }
+
+  if (settings.atr?.enabled) {
+    const line = addSeries(LineSeries, lineOptions('#38bdf8', { lastValueVisible: true, title: `ATR ${settings.atr.period}` }), nextPane++)
+    layers.push((bars) => line.setData(atr(bars, settings.atr.period)))
+  }
+
+  if (settings.rsi?.enabled) {
+    const line = addSeries(LineSeries, lineOptions('#f472b6', { lastValueVisible: true, title: `RSI ${settings.rsi.period}` }), nextPane++)
+    line.createPriceLine({ price: 70, color: '#758696', lineWidth: 1, lineStyle: 2, axisLabelVisible: false })
+    line.createPriceLine({ price: 30, color: '#758696', lineWidth: 1, lineStyle: 2, axisLabelVisible: false })
+    layers.push((bars) => line.setData(rsi(bars, settings.rsi.period)))
+  }
+
+  const subPanes = nextPane - 1
+  if (subPanes > 0) {
+    chart.applyOptions({ height: baseHeight + subPanes * SUB_PANE_HEIGHT })
+    chart.panes().slice(1).forEach(pane => pane.setHeight(SUB_PANE_HEIGHT))
+  }
+
+  const update = (bars) => layers.forEach(draw => draw(bars))
+
+  // Emptied sub-panes are dropped by the chart along with their last series
+  const dispose = () => {
+    added.forEach(series => chart.removeSeries(series))
+    if (subPanes > 0) chart.applyOptions({ height: baseHeight })
+  }
+
+  return { update, dispose }
+}
+
+// Price lines the user can grab and move vertically. `update(specs)` syncs
+// them with { key: { price, color, title } | null }; `onDrag(key, price)`
+// fires while a line is being moved. Chart panning is paused during a drag.
+export const attachDraggableLines = (chart, series, container, onDrag) => {
+  const lines = {}
+  let dragging = null
+  const yOf = (e) => e.clientY - container.getBoundingClientRect().top
+  const hit = (y) => Object.keys(lines).find(key => Math.abs(series.priceToCoordinate(lines[key].price) - y) < 6)
+
+  const down = (e) => {
+    const key = hit(yOf(e))
+    if (!key) return
+    dragging = key
+    chart.applyOptions({ handleScroll: false, handleScale: false })
+    e.preventDefault()
+    e.stopPropagation()
+  }
+  const move = (e) => {
+    const y = yOf(e)
+    if (!dragging) {
+      container.style.cursor = hit(y) ? 'ns-resize' : ''
+      return
+    }
+    const price = series.coordinateToPrice(y)
+    if (price == null) return
+    lines[dragging].price = price
+    lines[dragging].line.applyOptions({ price })
+    onDrag(dragging, price)
+  }
+  const up = () => {
+    if (!dragging) return
+    dragging = null
+    chart.applyOptions({ handleScroll: true, handleScale: true })
+  }
+
+  container.addEventListener('pointerdown', down, true)
+  container.addEventListener('pointermove', move)
+  window.addEventListener('pointerup', up)
+
+  const update = (specs) => {
+    Object.keys(lines).forEach(key => {
+      if (specs[key]) return
+      series.removePriceLine(lines[key].line)
+      delete lines[key]
+    })
+    Object.entries(specs).forEach(([key, spec]) => {
+      if (!spec || key === dragging) return
+      if (lines[key]) lines[key].line.applyOptions(spec)
+      else lines[key] = { line: series.createPriceLine({ lineWidth: 2, lineStyle: 2, axisLabelVisible: true, ...spec }) }
+      lines[key].price = spec.price
+    })
+  }
+
+  const dispose = () => {
+    container.removeEventListener('pointerdown', down, true)
+    container.removeEventListener('pointermove', move)
+    window.removeEventListener('pointerup', up)
+    container.style.cursor = ''
+  }
+
+  return { update, dispose }
+}
+
+class NewsMarkersRenderer {
+  constructor(source) {
+    this._source = source
+  }
+
+  draw(target) {
+    const { chart, markers, colors } = this._source
+    if (!chart) return
+    target.useMediaCoordinateSpace(({ context, mediaSize }) => {
+      markers.forEach(m => {
+        const x = this._source.xOf(m)
+        if (x == null) return
+        context.strokeStyle = colors[m.impact] || colors.Low
+        context.globalAlpha = 0.85
+        context.lineWidth = 1
+        context.setLineDash([4, 3])
+        context.beginPath()
+        context.moveTo(Math.round(x) + 0.5, 0)
+        context.lineTo(Math.round(x) + 0.5, mediaSize.height)
+        context.stroke()
+        context.setLineDash([])
+        context.globalAlpha = 1
+        context.fillStyle = colors[m.impact] || colors.Low
+        context.font = '10px sans-serif'
+        context.fillText(m.rows[0]?.country || 'News', x + 3, 12)
+      })
+    })
+  }
+}
+
+class NewsMarkers {
+  constructor(colors) {
+    this.colors = colors
+    this.markers = []
+    this.chart = null
+    this.series = null
+    this.requestUpdate = null
+    const renderer = new NewsMarkersRenderer(this)
+    this._paneViews = [{ zOrder: () => 'bottom', renderer: () => renderer }]
+  }
+
+  attached({ chart, series, requestUpdate }) {
+    this.chart = chart
+    this.series = series
+    this.requestUpdate = requestUpdate
+  }
+
+  detached() {
+    this.chart = null
+    this.series = null
+  }
+
+  // Markers sit on the bar that contains the release time.
+  xOf(marker) {
+    const bars = this.series.data()
+    let bar = null
+    for (const b of bars) {
+      if (b.time > marker.time) break
+      bar = b
+    }
+    return bar ? this.chart.timeScale().timeToCoordinate(bar.time) : null
+  }
+
+  paneViews() {
+    return this._paneViews
+  }
+}
+
+// Vertical lines at news releases, coloured by impact; hovering one shows
+// its releases in a tooltip. `update(markers)` takes chartNewsMarkers() output.
+export const attachNewsMarkers = (chart, series, container, { colors, renderTooltip }) => {
+  const primitive = new NewsMarkers(colors)
+  series.attachPrimitive(primitive)
+  const tooltip = document.createElement('div')
+  tooltip.className = 'chart-news-tooltip'
+  tooltip.style.display = 'none'
+  container.appendChild(tooltip)
+
+  const onMove = (param) => {
+    const point = param?.point
+    const marker = point && primitive.markers.find(m => {
+      const x = primitive.xOf(m)
+      return x != null && Math.abs(x - point.x) <= 4
+    })
+    if (!marker) {
+      tooltip.style.display = 'none'
+      return
+    }
+    tooltip.replaceChildren(renderTooltip(marker))
+    tooltip.style.display = 'block'
+    const left = Math.min(point.x + 12, container.clientWidth - tooltip.offsetWidth - 4)
+    tooltip.style.left = `${Math.max(4, left)}px`
+    tooltip.style.top = '28px'
+  }
+  chart.subscribeCrosshairMove(onMove)
+
+  const update = (markers) => {
+    primitive.markers = markers
+    primitive.requestUpdate?.()
+  }
+
+  const dispose = () => {
+    chart.unsubscribeCrosshairMove(onMove)
+    series.detachPrimitive(primitive)
+    tooltip.remove()
+  }
+
+  return { update, dispose }
+}
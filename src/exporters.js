@@ -0,0 +1,147 @@
+// CSV / XLSX / JSON export of the tables shown in the dashboard.
+//
+// Columns are { key, header, type, value? } where type is 'string', 'number'
+// or 'date' and value(row) overrides row[key]. Dates are written as ISO 8601
+// timestamps with the offset of the chosen time zone; CSV numbers use the
+// fr-CH decimal format (without grouping) and ';' as separator, as Excel
+// expects in Switzerland.
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'Excel' },
+  { key: 'json', label: 'JSON' },
+]
+
+const csvNumber = new Intl.NumberFormat('fr-CH', { useGrouping: false, maximumFractionDigits: 6 })
+
+export const isoInTimeZone = (value, timeZone) => {
+  if (!value) return ''
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return String(value)
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(date).map(p => [p.type, p.value]),
+  )
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  const offsetMin = Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+  const sign = offsetMin >= 0 ? '+' : '-'
+  const abs = Math.abs(offsetMin)
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`
+}
+
+const cellValue = (row, col, timeZone) => {
+  const raw = col.value ? col.value(row) : row[col.key]
+  if (raw == null || raw === '') return null
+  if (col.type === 'date') return isoInTimeZone(raw, timeZone)
+  if (col.type === 'number') {
+    const num = Number(raw)
+    return Number.isFinite(num) ? num : null
+  }
+  return String(raw)
+}
+
+const csvEscape = (text) => (/[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text)
+
+const toCsv = (columns, rows, timeZone) => {
+  const lines = [columns.map(c => csvEscape(c.header)).join(';')]
+  rows.forEach(row => {
+    lines.push(columns.map(col => {
+      const val = cellValue(row, col, timeZone)
+      if (val == null) return ''
+      return csvEscape(typeof val === 'number' ? csvNumber.format(val) : val)
+    }).join(';'))
+  })
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}`
+}
+
+const toJson = (columns, rows, timeZone) =>
+  JSON.stringify(rows.map(row => Object.fromEntries(columns.map(col => [col.key, cellValue(row, col, timeZone)]))), null, 2)
+
+const download = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fileName
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+export const exportRows = async ({ name, columns, rows, format, timeZone }) => {
+  const stamp = new Date().toISOString().slice(0, 10)
+  const fileName = `${name}-${stamp}.${format}`
+  if (format === 'csv') {
+    download(toCsv(columns, rows, timeZone), fileName, 'text/csv;charset=utf-8')
+  } else if (format === 'json') {
+    download(toJson(columns, rows, timeZone), fileName, 'application/json')
+  } else {
+    const { default: writeExcelFile } = await import('write-excel-file/browser')
+    const sheet = [
+      columns.map(col => ({ value: col.header, fontWeight: 'bold' })),
+      ...rows.map(row => columns.map(col => {
+        const val = cellValue(row, col, timeZone)
+        if (val == null) return null
+        return typeof val === 'number' ? { value: val, type: Number } : { value: val, type: String }
+      })),
+    ]
+    await writeExcelFile(sheet).toFile(fileName)
+  }
+}
+
+/* ─── Column sets ─── */
+export const TRADE_EXPORT_COLUMNS = [
+  { key: 'timestamp', header: 'Date', type: 'date' },
+  { key: 'strategy', header: 'Stratégie', type: 'string' },
+  { key: 'broker', header: 'Broker', type: 'string', value: t => t.broker || 'oanda' },
+  { key: 'instrument', header: 'Instrument', type: 'string' },
+  { key: 'direction', header: 'Direction', type: 'string' },
+  { key: 'entry', header: 'Entry', type: 'number' },
+  { key: 'sl', header: 'SL', type: 'number' },
+  { key: 'tp', header: 'TP', type: 'number' },
+  { key: 'units', header: 'Units', type: 'number' },
+  { key: 'fill_price', header: 'Fill', type: 'number' },
+  { key: 'scaling_step', header: 'Scaling step', type: 'number' },
+  { key: 'breakeven_applied', header: 'Breakeven', type: 'string' },
+  { key: 'outcome', header: 'Outcome', type: 'string' },
+  { key: 'realized_pnl', header: 'PnL', type: 'number' },
+  { key: 'trade_id', header: 'ID', type: 'string', value: t => t.oanda_trade_id || t.trade_id },
+]
+
+export const STATS_EXPORT_COLUMNS = [
+  { key: 'name', header: 'Stratégie', type: 'string' },
+  { key: 'closed_trades', header: 'Trades clos', type: 'number' },
+  { key: 'wins', header: 'Wins', type: 'number' },
+  { key: 'losses', header: 'Losses', type: 'number' },
+  { key: 'breakevens', header: 'Breakevens', type: 'number' },
+  { key: 'open_trades', header: 'Trades ouverts', type: 'number' },
+  { key: 'win_rate', header: 'Win rate %', type: 'number' },
+  { key: 'total_pnl', header: 'PnL total', type: 'number' },
+  { key: 'avg_win', header: 'Avg win', type: 'number' },
+  { key: 'avg_loss', header: 'Avg loss', type: 'number' },
+  { key: 'best_trade', header: 'Best', type: 'number' },
+  { key: 'worst_trade', header: 'Worst', type: 'number' },
+  { key: 'profit_factor', header: 'Profit factor', type: 'number' },
+]
+
+export const NEWS_HISTORY_EXPORT_COLUMNS = [
+  { key: 'timestamp', header: 'Date', type: 'date' },
+  { key: 'instrument', header: 'Instrument', type: 'string' },
+  { key: 'decision_action', header: 'Décision', type: 'string', value: ev => ev.decision_action || ev.phase },
+  { key: 'event_titles', header: 'Évènements', type: 'string', value: ev => (ev.event_titles || []).join(' | ') },
+  { key: 'decision_reason', header: 'Raison', type: 'string' },
+  { key: 'surprises', header: 'Surprises', type: 'string', value: ev => (ev.surprises || []).map(s => `${s.title}: ${s.direction} (${s.magnitude})`).join(' | ') },
+  { key: 'gpt_bias', header: 'GPT bias', type: 'string' },
+  { key: 'gpt_confidence', header: 'GPT confiance', type: 'number' },
+]
+
+export const LOG_EXPORT_COLUMNS = [
+  { key: 'timestamp', header: 'Date', type: 'date' },
+  { key: 'level', header: 'Niveau', type: 'string' },
+  { key: 'tag', header: 'Tag', type: 'string' },
+  { key: 'message', header: 'Message', type: 'string', value: log => log.message || JSON.stringify(log) },
+]
@@ -0,0 +1,107 @@
+// Filters audit: which filter blocked each rejected signal, and what the
+// signal would have done had it been taken.
+
+export const FILTER_LABELS = { news: 'News', gpt: 'GPT bias', ichimoku: 'Ichimoku' }
+
+export const CONFIDENCE_BUCKETS = [
+  { label: '< 50%', max: 50 },
+  { label: '50-59%', max: 60 },
+  { label: '60-69%', max: 70 },
+  { label: '70-79%', max: 80 },
+  { label: '80-89%', max: 90 },
+  { label: '≥ 90%', max: Infinity },
+]
+
+export const isRejected = (t) => t.outcome === 'rejected'
+
+// Every filter that fired on a rejection; Ichimoku yields one entry per
+// condition so each can be judged on its own.
+export const rejectionFilters = (t) => {
+  const fired = []
+  if (t.rejection_type === 'news') fired.push({ filter: 'news', condition: 'News' })
+  else if (t.rejection_type === 'gpt') fired.push({ filter: 'gpt', condition: t.gpt_bias ? `GPT ${t.gpt_bias}` : 'GPT' })
+  ;(Array.isArray(t.ichimoku_reasons) ? t.ichimoku_reasons : []).forEach(reason => {
+    fired.push({ filter: 'ichimoku', condition: reason })
+  })
+  if (!fired.length && t.rejection_type === 'ichimoku') fired.push({ filter: 'ichimoku', condition: 'Ichimoku' })
+  return fired
+}
+
+export const confidenceBucket = (t) => {
+  const conf = Number(t.gpt_confidence)
+  if (t.gpt_confidence == null || !Number.isFinite(conf)) return null
+  return CONFIDENCE_BUCKETS.find(b => conf < b.max).label
+}
+
+export const canSimulate = (t) => [t.entry, t.sl, t.tp].every(v => v != null && Number.isFinite(Number(v))) && Boolean(t.timestamp)
+
+// Walks the bars after the signal until SL or TP is touched. A bar that
+// touches both counts as a loss. Without either, the result is marked to
+// market on the last close.
+export const simulateSignal = (t, bars) => {
+  const entry = Number(t.entry)
+  const sl = Number(t.sl)
+  const tp = Number(t.tp)
+  const risk = Math.abs(entry - sl)
+  if (!risk) return null
+  const long = t.direction !== 'SHORT'
+  const start = Math.floor(Date.parse(t.timestamp) / 1000)
+  const after = bars.filter(b => b.time >= start)
+  for (const bar of after) {
+    const hitSl = long ? bar.low <= sl : bar.high >= sl
+    const hitTp = long ? bar.high >= tp : bar.low <= tp
+    if (hitSl) return { outcome: 'loss', r: -1, exitTime: bar.time }
+    if (hitTp) return { outcome: 'win', r: Math.round((Math.abs(tp - entry) / risk) * 100) / 100, exitTime: bar.time }
+  }
+  if (!after.length) return null
+  const last = after[after.length - 1].close
+  return { outcome: 'open', r: Math.round((((last - entry) * (long ? 1 : -1)) / risk) * 100) / 100, exitTime: null }
+}
+
+const emptyGroup = (key, label) => ({ key, label, fired: 0, simulated: 0, wins: 0, losses: 0, open: 0, sumR: 0 })
+
+const addToGroup = (g, result) => {
+  g.fired += 1
+  if (!result) return
+  g.simulated += 1
+  if (result.outcome === 'win') g.wins += 1
+  else if (result.outcome === 'loss') g.losses += 1
+  else g.open += 1
+  g.sumR += result.r
+}
+
+const finish = (g) => ({
+  ...g,
+  sumR: Math.round(g.sumR * 100) / 100,
+  avgR: g.simulated ? Math.round((g.sumR / g.simulated) * 100) / 100 : null,
+})
+
+// Groups rejections by filter, by condition and by GPT confidence bucket.
+// `results` maps a rejection key to its simulateSignal() result. A negative
+// sumR means the blocked signals would have lost money, so the filter helped.
+export const auditRejections = (rejections, results, keyOf) => {
+  const filters = new Map()
+  const conditions = new Map()
+  const buckets = new Map(CONFIDENCE_BUCKETS.map(b => [b.label, emptyGroup(b.label, b.label)]))
+  rejections.forEach(t => {
+    const result = results[keyOf(t)] || null
+    const fired = rejectionFilters(t)
+    new Set(fired.map(f => f.filter)).forEach(filter => {
+      if (!filters.has(filter)) filters.set(filter, emptyGroup(filter, FILTER_LABELS[filter]))
+      addToGroup(filters.get(filter), result)
+    })
+    fired.forEach(({ filter, condition }) => {
+      const key = `${filter}:${condition}`
+      if (!conditions.has(key)) conditions.set(key, { ...emptyGroup(key, condition), filter })
+      addToGroup(conditions.get(key), result)
+    })
+    const bucket = confidenceBucket(t)
+    if (bucket) addToGroup(buckets.get(bucket), result)
+  })
+  return {
+    total: rejections.length,
+    filters: [...filters.values()].map(finish).sort((a, b) => b.fired - a.fired),
+    conditions: [...conditions.values()].map(finish).sort((a, b) => b.fired - a.fired),
+    confidence: [...buckets.values()].map(finish),
+  }
+}
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest'
+import { auditRejections, rejectionFilters } from './filtersAudit'
+
+describe('rejectionFilters', () => {
+  it('counts a GPT rejection only when GPT rejected the signal', () => {
+    expect(rejectionFilters({ rejection_type: 'gpt', gpt_bias: 'BEARISH' })).toEqual([{ filter: 'gpt', condition: 'GPT BEARISH' }])
+    expect(rejectionFilters({ rejection_type: 'ichimoku', gpt_bias: 'BULLISH', ichimoku_reasons: ['below cloud'] }))
+      .toEqual([{ filter: 'ichimoku', condition: 'below cloud' }])
+    expect(rejectionFilters({ rejection_type: 'news', gpt_bias: 'BULLISH' })).toEqual([{ filter: 'news', condition: 'News' }])
+  })
+})
+
+describe('auditRejections', () => {
+  it('keeps the Ichimoku rejections carrying a GPT bias out of the GPT group', () => {
+    const rejections = [
+      { id: 'a', rejection_type: 'gpt', gpt_bias: 'BEARISH' },
+      { id: 'b', rejection_type: 'ichimoku', gpt_bias: 'BULLISH' },
+    ]
+    const audit = auditRejections(rejections, { a: { outcome: 'win', r: 2 }, b: { outcome: 'loss', r: -1 } }, t => t.id)
+    expect(audit.filters.map(g => [g.key, g.fired, g.sumR])).toEqual([['gpt', 1, 2], ['ichimoku', 1, -1]])
+  })
+})
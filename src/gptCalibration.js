@@ -0,0 +1,119 @@
+// GPT decision quality: every bias call made on a trade or a news event,
+// scored against the direction the market actually took.
+
+export const CONFIDENCE_BINS = [
+  { label: '< 50%', min: 0, max: 50 },
+  { label: '50-59%', min: 50, max: 60 },
+  { label: '60-69%', min: 60, max: 70 },
+  { label: '70-79%', min: 70, max: 80 },
+  { label: '80-89%', min: 80, max: 90 },
+  { label: '≥ 90%', min: 90, max: 101 },
+]
+
+const NEWS_MATCH_MS = 60 * 60 * 1000
+
+// A won LONG or a lost SHORT means price went up; breakevens say nothing.
+export const realizedDirection = (t) => {
+  if (t.outcome !== 'win' && t.outcome !== 'loss') return null
+  const up = (t.direction === 'LONG') === (t.outcome === 'win')
+  return up ? 'BULLISH' : 'BEARISH'
+}
+
+const toConfidence = (value) => (value == null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value))
+
+const score = (bias, realized) => (!realized || (bias !== 'BULLISH' && bias !== 'BEARISH') ? null : bias === realized)
+
+// News decisions are scored through the trade they led to: by id when the
+// backend links it, otherwise the first trade on the instrument within an hour.
+export const matchNewsTrade = (ev, trades) => {
+  const id = ev.trade_id || ev.oanda_trade_id
+  if (id) return trades.find(t => (t.oanda_trade_id || t.trade_id) === id) || null
+  if (ev.decision_action !== 'TRADE' || !ev.timestamp) return null
+  const at = Date.parse(ev.timestamp)
+  return trades.find(t => {
+    const ts = Date.parse(t.timestamp)
+    return t.instrument === ev.instrument && t.outcome !== 'rejected' && ts >= at && ts - at <= NEWS_MATCH_MS
+  }) || null
+}
+
+export const gptCalls = (trades, newsEvents) => {
+  const calls = []
+  ;(trades || []).forEach(t => {
+    const bias = t.gpt_macro_bias || t.gpt_bias
+    if (!bias) return
+    const realized = realizedDirection(t)
+    calls.push({
+      key: `trade:${t.id || t.doc_path || t.timestamp}`,
+      source: 'trade',
+      timestamp: t.timestamp,
+      instrument: t.instrument,
+      strategy: t.strategy,
+      bias,
+      confidence: toConfidence(t.gpt_macro_confidence ?? t.gpt_confidence),
+      analysis: t.gpt_macro_analysis || t.gpt_analysis || '',
+      trade: t,
+      realized,
+      correct: score(bias, realized),
+    })
+  })
+  ;(newsEvents || []).forEach(ev => {
+    if (!ev.gpt_bias) return
+    const trade = matchNewsTrade(ev, trades || [])
+    const realized = trade ? realizedDirection(trade) : null
+    calls.push({
+      key: `news:${ev.id || ev.timestamp}:${ev.instrument || ''}:${(ev.event_titles || []).join('|')}`,
+      source: 'news',
+      timestamp: ev.timestamp,
+      instrument: ev.instrument,
+      strategy: trade?.strategy || 'news',
+      bias: ev.gpt_bias,
+      confidence: toConfidence(ev.gpt_confidence),
+      analysis: ev.gpt_analysis || '',
+      titles: ev.event_titles || [],
+      trade,
+      realized,
+      correct: score(ev.gpt_bias, realized),
+    })
+  })
+  return calls.sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')))
+}
+
+const accuracy = (calls) => {
+  const scored = calls.filter(c => c.correct != null)
+  const hits = scored.filter(c => c.correct).length
+  return { count: calls.length, scored: scored.length, hits, accuracy: scored.length ? Math.round((hits / scored.length) * 1000) / 10 : null }
+}
+
+const groupAccuracy = (calls, keyOf) => {
+  const groups = new Map()
+  calls.forEach(c => {
+    const key = keyOf(c) || '-'
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(c)
+  })
+  return [...groups.entries()]
+    .map(([key, list]) => ({ key, ...accuracy(list) }))
+    .sort((a, b) => b.scored - a.scored)
+}
+
+// Overall and per-group hit rates, plus the reliability curve: stated
+// confidence (bin midpoint) against the observed hit rate of that bin.
+export const calibration = (calls) => ({
+  overall: accuracy(calls),
+  bySource: groupAccuracy(calls, c => c.source),
+  byInstrument: groupAccuracy(calls, c => c.instrument?.replace('_', '/')),
+  byStrategy: groupAccuracy(calls, c => c.strategy),
+  reliability: CONFIDENCE_BINS.map(bin => {
+    const inBin = calls.filter(c => c.confidence != null && c.confidence >= bin.min && c.confidence < bin.max)
+    const { scored, accuracy: hitRate } = accuracy(inBin)
+    return { label: bin.label, expected: (bin.min + Math.min(bin.max, 100)) / 2, hitRate, scored }
+  }),
+})
+
+export const searchCalls = (calls, query) => {
+  const q = query.trim().toLowerCase()
+  if (!q) return calls
+  return calls.filter(c =>
+    [c.analysis, c.instrument, c.strategy, c.bias, ...(c.titles || [])]
+      .some(text => String(text || '').toLowerCase().includes(q)))
+}
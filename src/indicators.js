@@ -0,0 +1,136 @@
+// Indicator math on chart bars ({ time, open, high, low, close, volume }).
+// Every function returns { time, value } points, only where the value is defined.
+
+export const INDICATORS = [
+  { key: 'ichimoku', label: 'Ichimoku', params: [
+    { key: 'tenkan', label: 'Tenkan', default: 9 },
+    { key: 'kijun', label: 'Kijun', default: 26 },
+    { key: 'senkou', label: 'Senkou B', default: 52 },
+  ] },
+  { key: 'emaFast', label: 'EMA rapide', params: [{ key: 'period', label: 'Période', default: 20 }] },
+  { key: 'emaSlow', label: 'EMA lente', params: [{ key: 'period', label: 'Période', default: 50 }] },
+  { key: 'vwap', label: 'VWAP', params: [] },
+  { key: 'atr', label: 'ATR', params: [{ key: 'period', label: 'Période', default: 14 }] },
+  { key: 'rsi', label: 'RSI', params: [{ key: 'period', label: 'Période', default: 14 }] },
+]
+
+export const defaultIndicatorSettings = () =>
+  Object.fromEntries(INDICATORS.map(ind => [
+    ind.key,
+    { enabled: false, ...Object.fromEntries(ind.params.map(p => [p.key, p.default])) },
+  ]))
+
+export const sma = (bars, period) => {
+  const out = []
+  let sum = 0
+  bars.forEach((bar, i) => {
+    sum += bar.close
+    if (i >= period) sum -= bars[i - period].close
+    if (i >= period - 1) out.push({ time: bar.time, value: sum / period })
+  })
+  return out
+}
+
+// Seeded with the SMA of the first `period` closes.
+export const ema = (bars, period) => {
+  if (bars.length < period) return []
+  const k = 2 / (period + 1)
+  let value = bars.slice(0, period).reduce((s, b) => s + b.close, 0) / period
+  const out = [{ time: bars[period - 1].time, value }]
+  for (let i = period; i < bars.length; i++) {
+    value = bars[i].close * k + value * (1 - k)
+    out.push({ time: bars[i].time, value })
+  }
+  return out
+}
+
+// Wilder's RSI.
+export const rsi = (bars, period) => {
+  if (bars.length <= period) return []
+  let gain = 0
+  let loss = 0
+  for (let i = 1; i <= period; i++) {
+    const diff = bars[i].close - bars[i - 1].close
+    if (diff > 0) gain += diff
+    else loss -= diff
+  }
+  gain /= period
+  loss /= period
+  const value = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss))
+  const out = [{ time: bars[period].time, value: value() }]
+  for (let i = period + 1; i < bars.length; i++) {
+    const diff = bars[i].close - bars[i - 1].close
+    gain = (gain * (period - 1) + Math.max(diff, 0)) / period
+    loss = (loss * (period - 1) + Math.max(-diff, 0)) / period
+    out.push({ time: bars[i].time, value: value() })
+  }
+  return out
+}
+
+export const trueRange = (bar, prev) =>
+  prev
+    ? Math.max(bar.high - bar.low, Math.abs(bar.high - prev.close), Math.abs(bar.low - prev.close))
+    : bar.high - bar.low
+
+// Wilder's ATR, seeded with the mean true range of the first `period` bars.
+export const atr = (bars, period) => {
+  if (bars.length < period) return []
+  const tr = bars.map((bar, i) => trueRange(bar, bars[i - 1]))
+  let value = tr.slice(0, period).reduce((s, v) => s + v, 0) / period
+  const out = [{ time: bars[period - 1].time, value }]
+  for (let i = period; i < bars.length; i++) {
+    value = (value * (period - 1) + tr[i]) / period
+    out.push({ time: bars[i].time, value })
+  }
+  return out
+}
+
+// Resets at each UTC day. Bars without volume are weighted equally.
+export const vwap = (bars) => {
+  const out = []
+  let day = null
+  let pv = 0
+  let vol = 0
+  bars.forEach(bar => {
+    const barDay = Math.floor(bar.time / 86400)
+    if (barDay !== day) {
+      day = barDay
+      pv = 0
+      vol = 0
+    }
+    const weight = bar.volume > 0 ? bar.volume : 1
+    pv += ((bar.high + bar.low + bar.close) / 3) * weight
+    vol += weight
+    out.push({ time: bar.time, value: pv / vol })
+  })
+  return out
+}
+
+const midpoint = (bars, end, period) => {
+  let high = -Infinity
+  let low = Infinity
+  for (let i = end - period + 1; i <= end; i++) {
+    high = Math.max(high, bars[i].high)
+    low = Math.min(low, bars[i].low)
+  }
+  return (high + low) / 2
+}
+
+// Senkou spans are projected `kijun` bars ahead (past the last candle, using the
+// bar interval) and the chikou span `kijun` bars back.
+export const ichimoku = (bars, { tenkan = 9, kijun = 26, senkou = 52 } = {}) => {
+  const interval = bars.length > 1 ? bars[bars.length - 1].time - bars[bars.length - 2].time : 60
+  const timeAt = (i) => (i < bars.length ? bars[i].time : bars[bars.length - 1].time + (i - bars.length + 1) * interval)
+  const result = { tenkan: [], kijun: [], spanA: [], spanB: [], chikou: [] }
+
+  bars.forEach((bar, i) => {
+    const t = i >= tenkan - 1 ? midpoint(bars, i, tenkan) : null
+    const k = i >= kijun - 1 ? midpoint(bars, i, kijun) : null
+    if (t != null) result.tenkan.push({ time: bar.time, value: t })
+    if (k != null) result.kijun.push({ time: bar.time, value: k })
+    if (t != null && k != null) result.spanA.push({ time: timeAt(i + kijun), value: (t + k) / 2 })
+    if (i >= senkou - 1) result.spanB.push({ time: timeAt(i + kijun), value: midpoint(bars, i, senkou) })
+    if (i >= kijun) result.chikou.push({ time: bars[i - kijun].time, value: bar.close })
+  })
+  return result
+}
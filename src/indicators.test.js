@@ -0,0 +1,152 @@
+import { describe, expect, it } from 'vitest'
+import { atr, ema, ichimoku, rsi, sma, trueRange, vwap } from './indicators'
+
+const fromCloses = (closes) => closes.map((close, i) => ({ time: i * 60, open: close, high: close, low: close, close }))
+const values = (points, digits = 2) => points.map(p => Number(p.value.toFixed(digits)))
+
+// Reference series from the StockCharts "ChartSchool" worked examples.
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17,
+]
+const EMA_10 = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+  23.43, 23.51, 23.53, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92,
+]
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03,
+  46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13,
+]
+const RSI_14 = [
+  70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34,
+  54.67, 50.39, 40.02, 41.49, 41.90, 45.50, 37.32, 33.09, 37.79,
+]
+
+describe('sma', () => {
+  it('averages the last `period` closes once warmed up', () => {
+    const out = sma(fromCloses([1, 2, 3, 4, 5]), 3)
+    expect(out.map(p => p.time)).toEqual([120, 180, 240])
+    expect(values(out)).toEqual([2, 3, 4])
+  })
+
+  it('returns nothing for fewer bars than the period', () => {
+    expect(sma(fromCloses([1, 2]), 3)).toEqual([])
+  })
+})
+
+describe('ema', () => {
+  it('matches the reference 10-period EMA', () => {
+    expect(values(ema(fromCloses(EMA_CLOSES), 10))).toEqual(EMA_10)
+  })
+
+  it('starts at the SMA seed on the period-th bar', () => {
+    const out = ema(fromCloses(EMA_CLOSES), 10)
+    expect(out[0].time).toBe(9 * 60)
+    expect(out[0].value).toBeCloseTo(sma(fromCloses(EMA_CLOSES.slice(0, 10)), 10)[0].value, 10)
+  })
+
+  it('returns nothing for fewer bars than the period', () => {
+    expect(ema(fromCloses([1, 2, 3]), 10)).toEqual([])
+  })
+})
+
+describe('rsi', () => {
+  it("matches the reference 14-period Wilder's RSI", () => {
+    const out = rsi(fromCloses(RSI_CLOSES), 14)
+    expect(out[0].time).toBe(14 * 60)
+    expect(values(out)).toEqual(RSI_14)
+  })
+
+  it('is 100 without any losing bar', () => {
+    expect(values(rsi(fromCloses([1, 2, 3, 4]), 3))).toEqual([100])
+  })
+
+  it('needs period + 1 bars', () => {
+    expect(rsi(fromCloses([1, 2, 3]), 3)).toEqual([])
+  })
+})
+
+describe('atr', () => {
+  const bars = [
+    { time: 0, high: 10, low: 8, close: 9 },
+    { time: 60, high: 11, low: 9, close: 10 },
+    { time: 120, high: 14, low: 10, close: 13 },
+    { time: 180, high: 13, low: 12, close: 12.5 },
+  ]
+
+  it('uses the gap to the previous close in the true range', () => {
+    expect(trueRange({ high: 13, low: 12 }, { close: 9 })).toBe(4)
+    expect(trueRange({ high: 13, low: 12 })).toBe(1)
+  })
+
+  it("seeds with the mean true range, then applies Wilder's smoothing", () => {
+    // True ranges: 2, 2, 4, 1 -> seed (2 + 2) / 2 = 2, then (2 + 4) / 2 = 3, (3 + 1) / 2 = 2
+    const out = atr(bars, 2)
+    expect(out.map(p => p.time)).toEqual([60, 120, 180])
+    expect(values(out)).toEqual([2, 3, 2])
+  })
+
+  it('returns nothing for fewer bars than the period', () => {
+    expect(atr(bars.slice(0, 1), 2)).toEqual([])
+  })
+})
+
+describe('vwap', () => {
+  it('weights the typical price by volume and resets each UTC day', () => {
+    const day = 86400
+    const out = vwap([
+      { time: day - 120, high: 12, low: 9, close: 9, volume: 1 },
+      { time: day - 60, high: 21, low: 15, close: 18, volume: 3 },
+      { time: day, high: 30, low: 30, close: 30, volume: 5 },
+    ])
+    // Day 1: (10 * 1 + 18 * 3) / 4 = 16; day 2 starts again from its own bar
+    expect(values(out)).toEqual([10, 16, 30])
+  })
+
+  it('weights bars without volume equally', () => {
+    const out = vwap([
+      { time: 0, high: 3, low: 3, close: 3 },
+      { time: 60, high: 5, low: 5, close: 5, volume: 0 },
+    ])
+    expect(values(out)).toEqual([3, 4])
+  })
+})
+
+describe('ichimoku', () => {
+  const bars = [
+    { time: 0, high: 2, low: 1, close: 1.5 },
+    { time: 60, high: 4, low: 2, close: 3 },
+    { time: 120, high: 6, low: 3, close: 5 },
+    { time: 180, high: 5, low: 4, close: 4.5 },
+  ]
+  const result = ichimoku(bars, { tenkan: 2, kijun: 3, senkou: 4 })
+
+  it('computes tenkan and kijun as high/low midpoints after their warm-up', () => {
+    expect(result.tenkan).toEqual([
+      { time: 60, value: 2.5 },
+      { time: 120, value: 4 },
+      { time: 180, value: 4.5 },
+    ])
+    expect(result.kijun).toEqual([
+      { time: 120, value: 3.5 },
+      { time: 180, value: 4 },
+    ])
+  })
+
+  it('projects the senkou spans `kijun` bars ahead, past the last candle', () => {
+    expect(result.spanA).toEqual([
+      { time: 300, value: 3.75 },
+      { time: 360, value: 4.25 },
+    ])
+    expect(result.spanB).toEqual([{ time: 360, value: 3.5 }])
+  })
+
+  it('plots the chikou span `kijun` bars back', () => {
+    expect(result.chikou).toEqual([{ time: 0, value: 4.5 }])
+  })
+
+  it('returns empty lines for inputs shorter than every period', () => {
+    const short = ichimoku(bars.slice(0, 1))
+    expect(short).toEqual({ tenkan: [], kijun: [], spanA: [], spanB: [], chikou: [] })
+  })
+})
@@ -0,0 +1,62 @@
+// Trade journal query, kept in the URL so a filtered view can be shared.
+export const JOURNAL_PAGE_SIZE = 50
+export const JOURNAL_EXPORT_PAGE_SIZE = 500
+export const JOURNAL_FILTERS = ['from', 'to', 'instrument', 'strategy', 'broker', 'direction', 'outcome', 'scaling_step']
+export const JOURNAL_SORTS = { timestamp: 'Date', strategy: 'Stratégie', outcome: 'Outcome', realized_pnl: 'PnL' }
+
+export const readJournalQuery = (searchParams) => ({
+  page: Math.max(1, Number(searchParams.get('page')) || 1),
+  sort: JOURNAL_SORTS[searchParams.get('sort')] ? searchParams.get('sort') : 'timestamp',
+  order: searchParams.get('order') === 'asc' ? 'asc' : 'desc',
+  filters: Object.fromEntries(JOURNAL_FILTERS.map(key => [key, searchParams.get(key) || ''])),
+})
+
+export const journalSearchParams = ({ page, sort, order, filters }) => {
+  const params = new URLSearchParams()
+  if (page > 1) params.set('page', page)
+  if (sort !== 'timestamp') params.set('sort', sort)
+  if (order !== 'desc') params.set('order', order)
+  Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value) })
+  return params
+}
+
+export const journalEndpoint = (query, pageSize = JOURNAL_PAGE_SIZE) => {
+  const params = journalSearchParams(query)
+  params.set('page', query.page)
+  params.set('page_size', pageSize)
+  params.set('sort', query.sort)
+  params.set('order', query.order)
+  return `/api/trades?${params.toString()}`
+}
+
+export const matchesJournalFilters = (t, filters) => {
+  const day = t.timestamp?.slice(0, 10) || t.date || ''
+  if (filters.from && day < filters.from) return false
+  if (filters.to && day > filters.to) return false
+  if (filters.instrument && t.instrument !== filters.instrument) return false
+  if (filters.strategy && t.strategy !== filters.strategy) return false
+  if (filters.broker && (t.broker || 'oanda') !== filters.broker) return false
+  if (filters.direction && t.direction !== filters.direction) return false
+  if (filters.outcome && t.outcome !== filters.outcome) return false
+  if (filters.scaling_step && String(t.scaling_step ?? '') !== filters.scaling_step) return false
+  return true
+}
+
+const compareBy = (sort) => (a, b) => {
+  const va = a[sort] ?? ''
+  const vb = b[sort] ?? ''
+  if (typeof va === 'number' || typeof vb === 'number') return (Number(va) || 0) - (Number(vb) || 0)
+  return String(va).localeCompare(String(vb))
+}
+
+// Backends that still answer /api/trades with the full array get the same
+// filtering, sorting and paging done here.
+export const normalizeJournalResponse = (data, query, pageSize = JOURNAL_PAGE_SIZE) => {
+  if (!Array.isArray(data)) {
+    return { items: data?.items || [], total: data?.total ?? (data?.items || []).length }
+  }
+  const sorted = data.filter(t => matchesJournalFilters(t, query.filters)).sort(compareBy(query.sort))
+  if (query.order === 'desc') sorted.reverse()
+  const start = (query.page - 1) * pageSize
+  return { items: sorted.slice(start, start + pageSize), total: sorted.length }
+}
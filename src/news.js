@@ -0,0 +1,147 @@
+import { dayInTimeZone, formatDate } from './timeZone'
+
+// Calendar and news-strategy history merged into chart markers: one marker
+// per release time that affects the charted instrument, with the recorded
+// surprise of each release when the news strategy evaluated it.
+
+export const NEWS_IMPACT_COLORS = { High: '#ef4444', Medium: '#f59e0b', Low: '#94a3b8' }
+
+const HISTORY_MATCH_MS = 30 * 60 * 1000
+
+const eventTime = (ev) => Date.parse(ev.datetime_utc || ev.event_time || ev.timestamp)
+
+const affects = (ev, oandaInstr) =>
+  (Array.isArray(ev.instruments) ? ev.instruments : [ev.instrument]).includes(oandaInstr)
+
+const findSurprise = (history, title, at) => {
+  for (const h of history) {
+    if (Math.abs(eventTime(h) - at) > HISTORY_MATCH_MS) continue
+    const surprise = (h.surprises || []).find(s => s.title === title)
+    if (surprise) return surprise
+  }
+  return null
+}
+
+// `calendar` and `history` are the `events` arrays of /api/news/calendar and
+// /api/news/history; [from, to) are unix seconds.
+export const chartNewsMarkers = (calendar, history, oandaInstr, from, to) => {
+  const inRange = (ev) => {
+    const at = eventTime(ev) / 1000
+    return at >= from && at < to && affects(ev, oandaInstr)
+  }
+  const dayHistory = (history || []).filter(inRange)
+  const groups = new Map()
+  const add = (at, impact, row) => {
+    const time = Math.floor(at / 1000)
+    if (!groups.has(time)) groups.set(time, { time, impact, rows: [] })
+    const group = groups.get(time)
+    if (impact === 'High' || (impact === 'Medium' && group.impact !== 'High')) group.impact = impact
+    if (!group.rows.some(r => r.title === row.title)) group.rows.push(row)
+  }
+
+  const fromCalendar = []
+  ;(calendar || []).filter(inRange).forEach(ev => {
+    const at = eventTime(ev)
+    fromCalendar.push({ at, title: ev.title })
+    add(at, ev.impact, {
+      title: ev.title,
+      country: ev.country,
+      forecast: ev.forecast,
+      previous: ev.previous,
+      actual: ev.actual,
+      surprise: findSurprise(dayHistory, ev.title, at),
+    })
+  })
+  // Past releases no longer in the calendar come from the strategy history
+  dayHistory.forEach(h => {
+    const at = eventTime(h)
+    const surprises = h.surprises || []
+    const titles = h.event_titles?.length ? h.event_titles : surprises.map(s => s.title)
+    titles.forEach(title => {
+      if (fromCalendar.some(c => c.title === title && Math.abs(c.at - at) <= HISTORY_MATCH_MS)) return
+      const surprise = surprises.find(s => s.title === title) || null
+      add(at, h.impact || 'High', {
+        title,
+        country: h.country,
+        forecast: surprise?.forecast,
+        previous: surprise?.previous,
+        actual: surprise?.actual,
+        surprise,
+      })
+    })
+  })
+  return [...groups.values()].sort((a, b) => a.time - b.time)
+}
+
+// Surprise direction from the instrument's point of view, for colouring.
+export const surpriseTone = (s) => {
+  if (s?.direction !== 'ABOVE' && s?.direction !== 'BELOW') return ''
+  return (s.direction === 'ABOVE') !== Boolean(s.is_inverse) ? 'above' : 'below'
+}
+
+export const formatSurprise = (s) =>
+  `${s.direction}${s.magnitude ? ` (${s.magnitude}${s.pct_deviation != null ? `, ${Number(s.pct_deviation).toFixed(1)}%` : ''})` : ''}`
+
+/* ─── Calendar filters ─── */
+const shiftDay = (day, n) => new Date(Date.parse(`${day}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10)
+
+// Monday-to-Sunday bounds (YYYY-MM-DD) of the week holding `day`.
+export const weekOf = (day) => {
+  const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7
+  const from = shiftDay(day, -weekday)
+  return { from, to: shiftDay(from, 6) }
+}
+
+// Bounds of the week `offset` weeks from the current one, in the display
+// time zone.
+export const calendarWeek = (offset, timeZone, now = Date.now()) => {
+  const from = shiftDay(weekOf(dayInTimeZone(now, timeZone)).from, offset * 7)
+  return { from, to: shiftDay(from, 6) }
+}
+
+// Instruments a strategy is configured to trade, from the values of
+// GET /api/strategy/{name}/config (`instruments` list or single `instrument`).
+export const configInstruments = (values) => {
+  if (Array.isArray(values?.instruments)) return values.instruments.filter(Boolean)
+  return values?.instrument ? [values.instrument] : []
+}
+
+// `configs` maps a strategy name to its config values, so an active strategy
+// counts for an instrument before it ever traded it.
+export const activeStrategyInstruments = (strategies, configs) =>
+  new Set(Object.entries(strategies || {})
+    .filter(([, on]) => on)
+    .flatMap(([name]) => configInstruments(configs?.[name])))
+
+export const filterNewsEvents = (events, { countries, impacts, instrument, activeOnly }, activeInstruments) =>
+  events.filter(ev =>
+    (!countries.length || countries.includes(ev.country))
+    && (!impacts.length || impacts.includes(ev.impact))
+    && (!instrument || (ev.instruments || []).includes(instrument))
+    && (!activeOnly || (ev.instruments || []).some(i => activeInstruments.has(i))))
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text != null) node.textContent = text
+  return node
+}
+
+// Tooltip body for a chart marker (built with textContent: titles come from
+// the external calendar), times in `timeZone`.
+export const newsTooltipContent = (marker, timeZone) => {
+  const root = el('div')
+  const time = formatDate(marker.time * 1000, timeZone, 'time')
+  root.appendChild(el('div', 'chart-news-time', `${time} · ${marker.impact || '-'}`))
+  marker.rows.forEach(row => {
+    const item = el('div', 'chart-news-row')
+    item.appendChild(el('div', 'chart-news-title', `${row.country ? `${row.country} ` : ''}${row.title}`))
+    const values = [['Prév', row.forecast], ['Préc', row.previous], ['Réel', row.actual]]
+      .filter(([, v]) => v != null && v !== '')
+      .map(([label, v]) => `${label}: ${v}`)
+    if (values.length) item.appendChild(el('div', 'chart-news-values', values.join(' · ')))
+    if (row.surprise) item.appendChild(el('span', `news-surprise-chip ${surpriseTone(row.surprise)}`, `Surprise ${formatSurprise(row.surprise)}`))
+    root.appendChild(item)
+  })
+  return root
+}
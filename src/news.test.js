@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest'
+import { activeStrategyInstruments, chartNewsMarkers, configInstruments, weekOf } from './news'
+
+describe('activeStrategyInstruments', () => {
+  it('takes the instruments of active strategies from their config', () => {
+    const strategies = { orb: true, news: true, asia: false }
+    const configs = { orb: { instruments: ['SPX500_USD', 'NAS100_USD'] }, news: { instrument: 'EUR_USD' }, asia: { instrument: 'USD_JPY' } }
+    expect([...activeStrategyInstruments(strategies, configs)].sort()).toEqual(['EUR_USD', 'NAS100_USD', 'SPX500_USD'])
+  })
+
+  it('skips strategies whose config is not loaded', () => {
+    expect(activeStrategyInstruments({ orb: true }, { orb: null }).size).toBe(0)
+    expect(configInstruments(undefined)).toEqual([])
+  })
+})
+
+describe('chartNewsMarkers', () => {
+  const at = (iso) => Date.parse(iso) / 1000
+  const from = at('2024-03-05T00:00:00Z')
+  const to = at('2024-03-06T00:00:00Z')
+  const cpiSurprise = { title: 'CPI m/m', direction: 'ABOVE', magnitude: 'SMALL' }
+  const calendar = [
+    { datetime_utc: '2024-03-05T13:30:00Z', country: 'USD', title: 'CPI y/y', impact: 'Low', instruments: ['EUR_USD'] },
+    { datetime_utc: '2024-03-05T13:30:00Z', country: 'USD', title: 'Core CPI m/m', impact: 'Medium', instruments: ['EUR_USD'] },
+    { datetime_utc: '2024-03-05T13:30:00Z', country: 'USD', title: 'CPI m/m', impact: 'High', forecast: '0.3', previous: '0.4', actual: '0.4', instruments: ['EUR_USD'] },
+    { datetime_utc: '2024-03-05T13:30:00Z', country: 'USD', title: 'CPI m/m', impact: 'High', instruments: ['EUR_USD'] },
+    { datetime_utc: '2024-03-05T15:00:00Z', country: 'JPY', title: 'BoJ speech', impact: 'High', instruments: ['USD_JPY'] },
+    { datetime_utc: '2024-03-06T13:30:00Z', country: 'USD', title: 'ISM', impact: 'High', instruments: ['EUR_USD'] },
+  ]
+  const history = [
+    // Evaluated 5 minutes after the release: its surprise joins the calendar row
+    { timestamp: '2024-03-05T13:35:00Z', instrument: 'EUR_USD', event_titles: ['CPI m/m'], surprises: [cpiSurprise] },
+    // No longer in the calendar: a marker of its own
+    { timestamp: '2024-03-05T10:00:00Z', instrument: 'EUR_USD', surprises: [{ title: 'German ZEW', forecast: 5, actual: 7, direction: 'ABOVE' }] },
+    // 40 minutes after the calendar release: outside the 30-minute match window
+    { timestamp: '2024-03-05T14:10:00Z', instrument: 'EUR_USD', impact: 'Medium', event_titles: ['CPI m/m'], surprises: [] },
+  ]
+  const markers = chartNewsMarkers(calendar, history, 'EUR_USD', from, to)
+
+  it('groups releases by time, for the instrument and range only', () => {
+    expect(markers.map(m => [m.time, m.impact, m.rows.length])).toEqual([
+      [at('2024-03-05T10:00:00Z'), 'High', 1],
+      [at('2024-03-05T13:30:00Z'), 'High', 3],
+      [at('2024-03-05T14:10:00Z'), 'Medium', 1],
+    ])
+  })
+
+  it('promotes a group to its highest impact and keeps one row per title', () => {
+    expect(markers[1].rows.map(r => r.title)).toEqual(['CPI y/y', 'Core CPI m/m', 'CPI m/m'])
+  })
+
+  it('attaches the surprise recorded within 30 minutes of the release', () => {
+    expect(markers[1].rows[2]).toMatchObject({ actual: '0.4', surprise: cpiSurprise })
+    expect(markers[1].rows[0].surprise).toBeNull()
+  })
+
+  it('builds rows for history-only releases from their surprise', () => {
+    expect(markers[0].rows[0]).toMatchObject({ title: 'German ZEW', forecast: 5, actual: 7 })
+    expect(markers[2].rows[0]).toMatchObject({ title: 'CPI m/m', surprise: null })
+  })
+})
+
+describe('weekOf', () => {
+  it('spans Monday to Sunday', () => {
+    expect(weekOf('2024-03-07')).toEqual({ from: '2024-03-04', to: '2024-03-10' })
+    expect(weekOf('2024-03-10')).toEqual({ from: '2024-03-04', to: '2024-03-10' })
+  })
+})
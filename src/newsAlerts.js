@@ -0,0 +1,40 @@
+// Notifications ahead of calendar events: High-impact ones (or above the
+// configured threshold) and those the news strategy has scheduled, with the
+// open positions exposed to the instruments they move.
+
+export const NEWS_IMPACTS = ['Low', 'Medium', 'High']
+
+// Off until the user opts in, so the calendar is not polled for everyone.
+export const DEFAULT_NEWS_ALERT_SETTINGS = { enabled: false, leadMinutes: 15, minImpact: 'High', includeScheduled: true }
+
+export const NEWS_CALENDAR_REFRESH_MS = 15 * 60 * 1000
+export const NEWS_ALERT_CHECK_MS = 30000
+
+export const newsEventKey = (ev) => `news:${ev.datetime_utc}|${ev.country}|${ev.title}`
+
+export const qualifiesForAlert = (ev, settings) =>
+  NEWS_IMPACTS.indexOf(ev.impact) >= NEWS_IMPACTS.indexOf(settings.minImpact)
+  || (settings.includeScheduled && Boolean(ev.scheduled))
+
+// Events starting within the lead time that were not notified yet.
+export const dueNewsEvents = (events, settings, alreadyNotified, now = Date.now()) =>
+  events.filter(ev => {
+    const start = Date.parse(ev.datetime_utc)
+    return start > now
+      && start - now <= settings.leadMinutes * 60 * 1000
+      && qualifiesForAlert(ev, settings)
+      && !alreadyNotified(newsEventKey(ev))
+  })
+
+// Open OANDA trades on one of the event's instruments.
+export const exposedTrades = (ev, posData) =>
+  (posData?.trades || []).filter(t => (ev.instruments || []).includes(t.instrument))
+
+export const newsAlertMessage = (ev, exposed, now = Date.now()) => {
+  const minutes = Math.max(1, Math.round((Date.parse(ev.datetime_utc) - now) / 60000))
+  const instruments = (ev.instruments || []).map(i => i.replace('_', '/')).join(', ') || 'aucun instrument'
+  const positions = exposed.length
+    ? `Exposé : ${exposed.map(t => `${t.instrument.replace('_', '/')} ${parseFloat(t.currentUnits || t.initialUnits || 0) >= 0 ? 'LONG' : 'SHORT'}`).join(', ')}`
+    : 'Aucune position exposée'
+  return `${ev.country} ${ev.title} dans ${minutes} min (${ev.impact}${ev.scheduled ? ', planifié' : ''}) · ${instruments} · ${positions}`
+}
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_NEWS_ALERT_SETTINGS, dueNewsEvents, newsAlertMessage, newsEventKey, qualifiesForAlert } from './newsAlerts'
+
+const NOW = Date.parse('2024-03-05T13:20:00Z')
+const inMinutes = (m) => new Date(NOW + m * 60000).toISOString()
+const event = (extra = {}) => ({ datetime_utc: inMinutes(10), country: 'USD', title: 'CPI m/m', impact: 'High', instruments: ['EUR_USD'], ...extra })
+
+const settings = { ...DEFAULT_NEWS_ALERT_SETTINGS, enabled: true }
+
+describe('DEFAULT_NEWS_ALERT_SETTINGS', () => {
+  it('leaves news alerts off until the user enables them', () => {
+    expect(DEFAULT_NEWS_ALERT_SETTINGS.enabled).toBe(false)
+  })
+})
+
+describe('qualifiesForAlert', () => {
+  it('compares the impact with the minimum', () => {
+    expect(qualifiesForAlert(event(), settings)).toBe(true)
+    expect(qualifiesForAlert(event({ impact: 'Medium' }), settings)).toBe(false)
+    expect(qualifiesForAlert(event({ impact: 'Medium' }), { ...settings, minImpact: 'Medium' })).toBe(true)
+    expect(qualifiesForAlert(event({ impact: 'Low' }), { ...settings, minImpact: 'Medium' })).toBe(false)
+  })
+
+  it('keeps events scheduled by the news strategy whatever their impact', () => {
+    expect(qualifiesForAlert(event({ impact: 'Low', scheduled: true }), settings)).toBe(true)
+    expect(qualifiesForAlert(event({ impact: 'Low', scheduled: true }), { ...settings, includeScheduled: false })).toBe(false)
+  })
+})
+
+describe('dueNewsEvents', () => {
+  it('returns qualifying events within the lead time that were not notified', () => {
+    const events = [
+      event({ title: 'due' }),
+      event({ title: 'at the lead', datetime_utc: inMinutes(15) }),
+      event({ title: 'too early', datetime_utc: inMinutes(16) }),
+      event({ title: 'past', datetime_utc: inMinutes(-1) }),
+      event({ title: 'low', impact: 'Low' }),
+      event({ title: 'notified' }),
+    ]
+    const notified = new Set([newsEventKey(events[5])])
+    const due = dueNewsEvents(events, settings, key => notified.has(key), NOW)
+    expect(due.map(ev => ev.title)).toEqual(['due', 'at the lead'])
+  })
+})
+
+describe('newsAlertMessage', () => {
+  it('lists the instruments and the exposed positions', () => {
+    const ev = event({ scheduled: true, instruments: ['EUR_USD', 'USD_JPY'] })
+    const exposed = [{ instrument: 'EUR_USD', currentUnits: '1000' }, { instrument: 'USD_JPY', currentUnits: '-500' }]
+    expect(newsAlertMessage(ev, exposed, NOW + 25000))
+      .toBe('USD CPI m/m dans 10 min (High, planifié) · EUR/USD, USD/JPY · Exposé : EUR/USD LONG, USD/JPY SHORT')
+  })
+
+  it('says when nothing is exposed and never counts down below one minute', () => {
+    const ev = event({ instruments: [], datetime_utc: inMinutes(0.2) })
+    expect(newsAlertMessage(ev, [], NOW)).toBe('USD CPI m/m dans 1 min (High) · aucun instrument · Aucune position exposée')
+  })
+})
@@ -0,0 +1,112 @@
+import { matchNewsTrade } from './gptCalibration'
+import { surpriseTone } from './news'
+
+// Which news releases are worth trading: every past release from the news
+// history, grouped by title, with its surprise, the price move over the
+// following minutes (OANDA M1 candles) and the result of the trade it led to.
+
+export const REACTION_WINDOWS = [5, 15, 60]
+
+const round = (v, digits = 3) => (v == null ? null : Math.round(v * 10 ** digits) / 10 ** digits)
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null)
+
+const releaseTime = (ev) => Date.parse(ev.datetime_utc || ev.event_time || ev.timestamp)
+
+// +1 when a surprise good for `currency` should lift the pair, -1 when it
+// should push it down, null when the currency is not one of its legs.
+export const expectedSign = (currency, instrument) => {
+  const [base, quote] = (instrument || '').split('_')
+  if (!currency || base?.length !== 3 || quote?.length !== 3) return null
+  if (currency === base) return 1
+  if (currency === quote) return -1
+  return null
+}
+
+// One row per released figure; history items without surprises still count
+// (one row per title) so their trades are not lost.
+export const newsReleases = (history, trades) =>
+  (history || []).flatMap(ev => {
+    const at = releaseTime(ev)
+    if (!Number.isFinite(at)) return []
+    const trade = ev.decision_action === 'TRADE' ? matchNewsTrade(ev, trades || []) : null
+    const surprises = ev.surprises?.length
+      ? ev.surprises
+      : (ev.event_titles || []).map(title => ({ title }))
+    return surprises.map(s => {
+      const tone = surpriseTone(s)
+      const impulse = tone === 'above' ? 1 : tone === 'below' ? -1 : null
+      const sign = expectedSign(s.currency || ev.currency || ev.country, ev.instrument)
+      return {
+        key: `${ev.id || ev.timestamp}:${s.title}`,
+        title: s.title,
+        at,
+        instrument: ev.instrument,
+        surprise: s.direction ? s : null,
+        // Deviation signed so that positive means good for the currency
+        deviation: s.pct_deviation != null && impulse != null ? Math.abs(Number(s.pct_deviation)) * impulse : null,
+        expected: impulse != null && sign != null ? impulse * sign : null,
+        action: ev.decision_action || null,
+        trade,
+      }
+    })
+  }).sort((a, b) => b.at - a.at)
+
+// % move from the open of the release bar to the close `w` minutes later.
+export const priceReaction = (bars, at, windows = REACTION_WINDOWS) => {
+  const start = Math.floor(at / 1000)
+  const first = bars.find(b => b.time + 60 > start)
+  if (!first || first.time - start > 300) return null
+  const base = first.open
+  const moves = {}
+  windows.forEach(w => {
+    const end = start + w * 60
+    const last = bars.filter(b => b.time < end).pop()
+    moves[w] = last && last.time >= first.time && end <= bars[bars.length - 1].time + 60
+      ? round(((last.close - base) / base) * 100)
+      : null
+  })
+  return { base, moves }
+}
+
+const tradeResult = (rows) => {
+  const traded = rows.filter(r => r.trade && r.trade.realized_pnl != null)
+  return {
+    trades: traded.length,
+    wins: traded.filter(r => Number(r.trade.realized_pnl) > 0).length,
+    pnl: round(traded.reduce((sum, r) => sum + Number(r.trade.realized_pnl), 0), 2),
+  }
+}
+
+// Per title: average surprise and absolute move per window, how often price
+// went the way the surprise implied, and the news strategy's trades on it.
+// `reactions` maps a release key to its priceReaction() result.
+export const summarizeReleases = (releases, reactions) => {
+  const groups = new Map()
+  releases.forEach(r => {
+    if (!groups.has(r.title)) groups.set(r.title, [])
+    groups.get(r.title).push(r)
+  })
+  return [...groups.entries()].map(([title, rows]) => {
+    const withMoves = rows.filter(r => reactions[r.key])
+    const avgMove = {}
+    const aligned = {}
+    REACTION_WINDOWS.forEach(w => {
+      const moves = withMoves.map(r => reactions[r.key].moves[w]).filter(m => m != null)
+      avgMove[w] = round(mean(moves.map(Math.abs)))
+      // A flat move counts as judged but not aligned
+      const judged = withMoves.filter(r => r.expected != null && reactions[r.key].moves[w] != null)
+      aligned[w] = judged.length
+        ? Math.round((judged.filter(r => Math.sign(reactions[r.key].moves[w]) === r.expected).length / judged.length) * 100)
+        : null
+    })
+    const deviations = rows.map(r => r.deviation).filter(d => d != null)
+    return {
+      title,
+      count: rows.length,
+      avgSurprise: round(mean(deviations.map(Math.abs)), 1),
+      avgMove,
+      aligned,
+      ...tradeResult(rows),
+    }
+  }).sort((a, b) => b.count - a.count)
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest'
+import { expectedSign, priceReaction, summarizeReleases } from './newsAnalytics'
+
+const RELEASE = Date.parse('2024-03-05T13:30:00Z')
+const START = RELEASE / 1000
+
+// M1 bars from `from` minutes after the release: bar k opens at 1.1 + k pips
+// and closes one pip higher.
+const m1 = (from, to, start = START) => {
+  const bars = []
+  for (let k = from; k <= to; k += 1) {
+    bars.push({ time: start + k * 60, open: 1.1 + k * 0.0001, close: 1.1 + (k + 1) * 0.0001 })
+  }
+  return bars
+}
+
+describe('expectedSign', () => {
+  it('is +1 for the base currency and -1 for the quote currency', () => {
+    expect(expectedSign('EUR', 'EUR_USD')).toBe(1)
+    expect(expectedSign('USD', 'EUR_USD')).toBe(-1)
+  })
+
+  it('is unknown for other currencies and index CFDs', () => {
+    expect(expectedSign('JPY', 'EUR_USD')).toBeNull()
+    expect(expectedSign('USD', 'SPX500_USD')).toBeNull()
+    expect(expectedSign(undefined, 'EUR_USD')).toBeNull()
+  })
+})
+
+describe('priceReaction', () => {
+  it('measures each window from the open of the release bar', () => {
+    // Closes after 5 / 15 / 60 bars: 1.1005, 1.1015, 1.1060
+    expect(priceReaction(m1(-2, 59), RELEASE)).toEqual({ base: 1.1, moves: { 5: 0.045, 15: 0.136, 60: 0.545 } })
+  })
+
+  it('leaves a window unmeasured when the bars stop before its end', () => {
+    expect(priceReaction(m1(0, 30), RELEASE).moves).toEqual({ 5: 0.045, 15: 0.136, 60: null })
+  })
+
+  it('accepts a first bar up to 300 s after the release, not later', () => {
+    expect(priceReaction(m1(5, 59), RELEASE).base).toBeCloseTo(1.1005, 10)
+    expect(priceReaction(m1(6, 59), RELEASE)).toBeNull()
+    expect(priceReaction([], RELEASE)).toBeNull()
+  })
+
+  it('needs the next UTC day bars for releases late in the day', () => {
+    const late = Date.parse('2024-03-05T23:50:00Z')
+    const day = m1(0, 9, late / 1000)
+    const nextDay = m1(10, 69, late / 1000)
+    // 23:50-23:59 alone only covers the 5-minute window
+    expect(priceReaction(day, late).moves).toEqual({ 5: 0.045, 15: null, 60: null })
+    expect(priceReaction([...day, ...nextDay], late).moves).toEqual({ 5: 0.045, 15: 0.136, 60: 0.545 })
+  })
+})
+
+describe('summarizeReleases', () => {
+  const release = (key, extra = {}) => ({ key, title: 'CPI m/m', at: RELEASE, instrument: 'EUR_USD', deviation: 10, expected: 1, trade: null, ...extra })
+
+  it('counts a flat move as not aligned with the surprise', () => {
+    const releases = [
+      release('up', { trade: { realized_pnl: 40 } }),
+      release('flat', { deviation: -20 }),
+      release('down', { trade: { realized_pnl: -15 } }),
+      release('unmeasured'),
+    ]
+    const reactions = {
+      up: { moves: { 5: 0.1, 15: 0.2, 60: null } },
+      flat: { moves: { 5: 0, 15: 0.1, 60: null } },
+      down: { moves: { 5: -0.05, 15: 0.3, 60: null } },
+    }
+    const [row] = summarizeReleases(releases, reactions)
+    expect(row).toMatchObject({
+      title: 'CPI m/m',
+      count: 4,
+      avgSurprise: 12.5,
+      avgMove: { 5: 0.05, 15: 0.2, 60: null },
+      aligned: { 5: 33, 15: 100, 60: null },
+      trades: 2,
+      wins: 1,
+      pnl: 25,
+    })
+  })
+})
@@ -0,0 +1,66 @@
+// Manual order ticket: risk-based sizing and checks before an order is sent.
+// Sizing converts the SL distance (in quote currency) to the risk currency
+// with the latest closes of the FX pairs in INSTRUMENTS.
+
+export const ORDER_TYPES = [
+  { key: 'MARKET', label: 'Market' },
+  { key: 'LIMIT', label: 'Limit' },
+]
+
+export const pipSize = (dec) => (dec >= 3 ? 10 ** -(dec - 1) : 1)
+
+// Index CFDs trade in tenths of a unit, forex in whole units.
+export const unitStep = (dec) => (dec <= 1 ? 0.1 : 1)
+
+export const quoteCurrency = (oandaInstr) => oandaInstr.split('_')[1] || 'USD'
+
+// Pairs whose price is needed to turn one quote-currency unit into CHF/USD.
+export const conversionSymbols = (quote) => {
+  if (quote === 'CHF') return []
+  const toUsd = quote === 'USD' ? [] : [`${quote}_USD`, `USD_${quote}`]
+  return [...toUsd, 'USD_CHF']
+}
+
+export const quoteToUsd = (quote, prices) => {
+  if (quote === 'USD') return 1
+  if (prices[`${quote}_USD`]) return prices[`${quote}_USD`]
+  if (prices[`USD_${quote}`]) return 1 / prices[`USD_${quote}`]
+  return null
+}
+
+export const quoteToChf = (quote, prices) => {
+  if (quote === 'CHF') return 1
+  const usd = quoteToUsd(quote, prices)
+  return usd != null && prices.USD_CHF ? usd * prices.USD_CHF : null
+}
+
+// Largest size whose loss at the SL stays within `riskAmount`.
+export const sizePosition = ({ riskAmount, entry, sl, rate, dec }) => {
+  const distance = Math.abs(entry - sl)
+  if (!distance || !rate || !riskAmount) return null
+  const step = unitStep(dec)
+  const units = Math.floor(riskAmount / (distance * rate) / step) * step
+  const pip = pipSize(dec)
+  return {
+    units: Number(units.toFixed(step < 1 ? 1 : 0)),
+    slPips: distance / pip,
+    pipValue: pip * rate * units,
+    risk: distance * rate * units,
+  }
+}
+
+// `slRequired: false` checks a SL only when one is given (modifying the
+// orders of an open position).
+export const validateTicket = ({ direction, entry, sl, tp, type, slRequired = true }) => {
+  const errors = []
+  const long = direction === 'LONG'
+  if (!Number.isFinite(entry)) errors.push(type === 'LIMIT' ? 'Prix limite requis' : "Prix d'entrée indisponible")
+  if (slRequired && !Number.isFinite(sl)) errors.push('Stop loss requis')
+  if (Number.isFinite(entry) && Number.isFinite(sl) && (long ? sl >= entry : sl <= entry)) {
+    errors.push(`Le SL doit être ${long ? 'sous' : 'au-dessus de'} l'entrée`)
+  }
+  if (Number.isFinite(entry) && Number.isFinite(tp) && (long ? tp <= entry : tp >= entry)) {
+    errors.push(`Le TP doit être ${long ? 'au-dessus de' : 'sous'} l'entrée`)
+  }
+  return errors
+}
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest'
+import { conversionSymbols, pipSize, quoteCurrency, quoteToChf, sizePosition, unitStep, validateTicket } from './orderTicket'
+
+const PRICES = { USD_CHF: 0.9, USD_JPY: 150, GBP_USD: 1.25 }
+
+describe('pipSize and unitStep', () => {
+  it('uses the fourth decimal for forex, the second for JPY and whole points for indices', () => {
+    expect(pipSize(5)).toBeCloseTo(0.0001, 12)
+    expect(pipSize(3)).toBe(0.01)
+    expect(pipSize(1)).toBe(1)
+    expect(unitStep(5)).toBe(1)
+    expect(unitStep(1)).toBe(0.1)
+  })
+})
+
+describe('quoteToChf', () => {
+  it('converts through USD_CHF, inverting USD_XXX pairs', () => {
+    expect(quoteToChf('CHF', PRICES)).toBe(1)
+    expect(quoteToChf('USD', PRICES)).toBe(0.9)
+    expect(quoteToChf('JPY', PRICES)).toBeCloseTo(0.006, 10)
+    expect(quoteToChf('GBP', PRICES)).toBeCloseTo(1.125, 10)
+  })
+
+  it('is unknown without the conversion prices', () => {
+    expect(quoteToChf('GBP', { USD_CHF: 0.9 })).toBeNull()
+    expect(quoteToChf('USD', {})).toBeNull()
+  })
+
+  it('lists the pairs needed for a quote currency', () => {
+    expect(quoteCurrency('EUR_GBP')).toBe('GBP')
+    expect(conversionSymbols('GBP')).toEqual(['GBP_USD', 'USD_GBP', 'USD_CHF'])
+    expect(conversionSymbols('CHF')).toEqual([])
+  })
+})
+
+describe('sizePosition', () => {
+  const size = (oandaInstr, entry, sl, dec) =>
+    sizePosition({ riskAmount: 100, entry, sl, rate: quoteToChf(quoteCurrency(oandaInstr), PRICES), dec })
+
+  it('sizes a USD-quoted pair', () => {
+    // 100 / (0.005 * 0.9) = 22222.2
+    const s = size('EUR_USD', 1.1, 1.095, 5)
+    expect(s.units).toBe(22222)
+    expect(s.slPips).toBeCloseTo(50, 6)
+    expect(s.risk).toBeCloseTo(99.999, 3)
+    expect(s.pipValue).toBeCloseTo(1.99998, 5)
+  })
+
+  it('sizes a CHF-quoted pair', () => {
+    // 100 / (0.003 * 1) = 33333.3
+    expect(size('USD_CHF', 0.903, 0.9, 5).units).toBe(33333)
+  })
+
+  it('sizes a JPY-quoted pair through the inverse of USD_JPY', () => {
+    // 100 / (0.5 * 0.9 / 150) = 33333.3
+    const s = size('USD_JPY', 150, 149.5, 3)
+    expect(s.units).toBe(33333)
+    expect(s.slPips).toBeCloseTo(50, 6)
+  })
+
+  it('sizes a cross through GBP_USD x USD_CHF', () => {
+    // 100 / (0.004 * 1.125) = 22222.2
+    expect(size('EUR_GBP', 0.855, 0.859, 5).units).toBe(22222)
+  })
+
+  it('rounds index CFDs down to tenths', () => {
+    // 100 / (10 * 0.9) = 11.11
+    const s = size('SPX500_USD', 5000, 4990, 1)
+    expect(s.units).toBe(11.1)
+    expect(s.risk).toBeCloseTo(99.9, 6)
+  })
+
+  it('needs a stop distance and a rate', () => {
+    expect(sizePosition({ riskAmount: 100, entry: 1.1, sl: 1.1, rate: 0.9, dec: 5 })).toBeNull()
+    expect(sizePosition({ riskAmount: 100, entry: 1.1, sl: 1.09, rate: null, dec: 5 })).toBeNull()
+  })
+})
+
+describe('validateTicket', () => {
+  it('accepts levels on the right side of entry', () => {
+    expect(validateTicket({ direction: 'LONG', entry: 1.1, sl: 1.09, tp: 1.12, type: 'MARKET' })).toEqual([])
+    expect(validateTicket({ direction: 'SHORT', entry: 1.1, sl: 1.11, tp: 1.08, type: 'MARKET' })).toEqual([])
+  })
+
+  it('rejects a SL on the wrong side of entry', () => {
+    expect(validateTicket({ direction: 'LONG', entry: 1.1, sl: 1.11, tp: NaN, type: 'MARKET' })).toEqual(["Le SL doit être sous l'entrée"])
+    expect(validateTicket({ direction: 'SHORT', entry: 1.1, sl: 1.1, tp: NaN, type: 'MARKET' })).toEqual(["Le SL doit être au-dessus de l'entrée"])
+  })
+
+  it('rejects a TP on the wrong side of entry', () => {
+    expect(validateTicket({ direction: 'LONG', entry: 1.1, sl: 1.09, tp: 1.09, type: 'MARKET' })).toEqual(["Le TP doit être au-dessus de l'entrée"])
+    expect(validateTicket({ direction: 'SHORT', entry: 1.1, sl: 1.11, tp: 1.12, type: 'MARKET' })).toEqual(["Le TP doit être sous l'entrée"])
+  })
+
+  it('checks the SL only when given for an open position', () => {
+    expect(validateTicket({ direction: 'LONG', entry: 1.1, sl: NaN, tp: 1.12, type: 'MARKET', slRequired: false })).toEqual([])
+    expect(validateTicket({ direction: 'SHORT', entry: 1.1, sl: 1.09, tp: NaN, type: 'MARKET', slRequired: false })).toEqual(["Le SL doit être au-dessus de l'entrée"])
+  })
+
+  it('requires an entry and a SL', () => {
+    expect(validateTicket({ direction: 'LONG', entry: NaN, sl: NaN, tp: NaN, type: 'LIMIT' })).toEqual(['Prix limite requis', 'Stop loss requis'])
+  })
+})
@@ -0,0 +1,97 @@
+import { createSeriesMarkers } from 'lightweight-charts'
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10]
+export const REPLAY_LEAD_BARS = 12
+
+const EVENT_COLORS = { OPENED: '#2962ff', BREAKEVEN: '#f59e0b', CLOSED: '#9ca3af' }
+
+export const toSeconds = (iso) => Math.floor(new Date(iso).getTime() / 1000)
+
+// Moves the replay cursor by `dir` bars, clamped to the loaded bars; playback
+// stops on its own at the last bar.
+export const advanceReplay = (replay, dir, seconds, bars) => {
+  if (!replay) return replay
+  const first = bars?.length ? bars[0].time : -Infinity
+  const last = bars?.length ? bars[bars.length - 1].time : Infinity
+  const cursor = Math.min(Math.max(replay.cursor + dir * seconds, first), last)
+  return { ...replay, cursor, playing: replay.playing && cursor < last }
+}
+
+const scalingLabel = (step) => (step === 1 ? 'TP1 50%' : step === 2 ? 'TP2 25%' : null)
+
+// Where the stop sits once every event up to `cursor` has happened: an explicit
+// new SL in the event data wins, otherwise a breakeven moves it to the fill.
+export const replayStop = (trade, events, cursor) => {
+  let price = trade.sl != null ? Number(trade.sl) : null
+  let title = 'SL'
+  events.forEach(ev => {
+    if (!ev.timestamp || toSeconds(ev.timestamp) > cursor) return
+    const d = ev.data || {}
+    const isBreakeven = (ev.type || '').toUpperCase() === 'BREAKEVEN' || d.breakeven_applied
+    const newSl = d.new_sl ?? d.sl
+    if (newSl != null) price = Number(newSl)
+    else if (isBreakeven) price = Number(trade.fill_price ?? trade.entry)
+    if (isBreakeven) title = 'SL (BE)'
+    const step = scalingLabel(d.scaling_step)
+    if (step) title = `SL (${step})`
+  })
+  return { price, title }
+}
+
+// Draws a trade's entry/TP/moving SL and its events on `series`, revealing only
+// what happened up to the replay cursor.
+export const createReplayLayer = (series, { trade, events }, dec) => {
+  const sorted = [...events].filter(ev => ev.timestamp).sort((a, b) => toSeconds(a.timestamp) - toSeconds(b.timestamp))
+  const entryTime = toSeconds(trade.timestamp)
+  const entryPrice = Number(trade.fill_price ?? trade.entry)
+  const markers = createSeriesMarkers(series, [])
+  let entryLine = null
+  let slLine = null
+  let tpLine = null
+
+  return (bars, cursor) => {
+    const snap = (ts) => {
+      let best = null
+      bars.forEach(b => { if (b.time <= ts) best = b.time })
+      return best
+    }
+
+    const list = []
+    const entryBar = cursor >= entryTime ? snap(entryTime) : null
+    if (entryBar != null) {
+      list.push({
+        time: entryBar,
+        position: trade.direction === 'LONG' ? 'belowBar' : 'aboveBar',
+        color: trade.direction === 'LONG' ? '#26a69a' : '#ef5350',
+        shape: trade.direction === 'LONG' ? 'arrowUp' : 'arrowDown',
+        text: `${trade.direction} @ ${entryPrice.toFixed(dec)}`,
+      })
+    }
+    sorted.forEach(ev => {
+      const ts = toSeconds(ev.timestamp)
+      const time = ts <= cursor ? snap(ts) : null
+      if (time == null) return
+      const type = (ev.type || '').toUpperCase()
+      list.push({ time, position: 'aboveBar', color: EVENT_COLORS[type] || '#d1d4dc', shape: 'circle', text: type })
+    })
+    markers.setMarkers(list.sort((a, b) => a.time - b.time))
+
+    if (entryBar == null) {
+      [entryLine, slLine, tpLine].filter(Boolean).forEach(line => series.removePriceLine(line))
+      entryLine = null
+      slLine = null
+      tpLine = null
+      return
+    }
+    if (!entryLine) {
+      entryLine = series.createPriceLine({ price: entryPrice, color: '#2962ff', lineWidth: 1, lineStyle: 0, axisLabelVisible: true, title: 'Entry' })
+      if (trade.tp != null) {
+        tpLine = series.createPriceLine({ price: Number(trade.tp), color: '#26a69a', lineWidth: 1, lineStyle: 1, axisLabelVisible: true, title: 'TP' })
+      }
+    }
+    const stop = replayStop(trade, sorted, cursor)
+    if (stop.price == null) return
+    if (!slLine) slLine = series.createPriceLine({ price: stop.price, color: '#ef5350', lineWidth: 2, lineStyle: 1, axisLabelVisible: true, title: stop.title })
+    else slLine.applyOptions({ price: stop.price, title: stop.title })
+  }
+}
@@ -0,0 +1,69 @@
+// Forex trading sessions, windows in each market's local time ("HH:MM" in
+// `timeZone`), so London and New York follow their own DST changes. A window
+// whose end is before its start wraps past midnight into the next day.
+export const DEFAULT_SESSIONS = [
+  { key: 'asia', label: 'Asia', timeZone: 'Asia/Tokyo', start: '09:00', end: '17:00', color: '#a78bfa' },
+  { key: 'london', label: 'London', timeZone: 'Europe/London', start: '08:00', end: '17:00', color: '#38bdf8' },
+  { key: 'newyork', label: 'New York', timeZone: 'America/New_York', start: '08:00', end: '17:00', color: '#f59e0b' },
+]
+
+const toSeconds = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number)
+  return h * 3600 + (m || 0) * 60
+}
+
+const offsetFormats = new Map()
+
+// Offset of `timeZone` from UTC at `seconds` (unix), in seconds.
+const zoneOffset = (seconds, timeZone) => {
+  if (!offsetFormats.has(timeZone)) {
+    offsetFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }))
+  }
+  const p = Object.fromEntries(offsetFormats.get(timeZone).formatToParts(new Date(seconds * 1000)).map(x => [x.type, Number(x.value)]))
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) / 1000 - seconds
+}
+
+// Unix time of local "HH:MM" on `day` in `timeZone`. The second pass settles
+// the offset when a DST change falls between UTC and local time.
+const localToUnix = (day, hhmm, timeZone) => {
+  const asUtc = Date.parse(`${day}T00:00:00Z`) / 1000 + toSeconds(hhmm)
+  const guess = asUtc - zoneOffset(asUtc, timeZone)
+  return asUtc - zoneOffset(guess, timeZone)
+}
+
+export const sessionWindow = (session, day) => {
+  const timeZone = session.timeZone || 'UTC'
+  const start = localToUnix(day, session.start, timeZone)
+  let end = localToUnix(day, session.end, timeZone)
+  if (end <= start) end += 86400
+  return { start, end }
+}
+
+// status follows the opening-range endpoint: 'pending' before the window,
+// 'forming' during it, 'ready' once it has closed.
+export const sessionStatus = (range, now = Date.now() / 1000) =>
+  now < range.start ? 'pending' : now < range.end ? 'forming' : 'ready'
+
+// High/low of each session of `day` from chart bars, with its window.
+export const sessionRanges = (bars, sessions, day) =>
+  sessions.map(session => {
+    const { start, end } = sessionWindow(session, day)
+    const inside = bars.filter(b => b.time >= start && b.time < end)
+    if (inside.length === 0) return { ...session, start, end, high: null, low: null, range_size: null }
+    const high = Math.max(...inside.map(b => b.high))
+    const low = Math.min(...inside.map(b => b.low))
+    return {
+      ...session,
+      start,
+      end,
+      high,
+      low,
+      range_size: high - low,
+      firstTime: inside[0].time,
+      lastTime: inside[inside.length - 1].time,
+    }
+  })
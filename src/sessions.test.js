@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_SESSIONS, sessionRanges, sessionStatus, sessionWindow } from './sessions'
+
+const session = (key) => DEFAULT_SESSIONS.find(s => s.key === key)
+const utc = (iso) => Date.parse(iso) / 1000
+
+describe('sessionWindow', () => {
+  it('follows London summer and winter time', () => {
+    expect(sessionWindow(session('london'), '2024-07-15')).toEqual({ start: utc('2024-07-15T07:00:00Z'), end: utc('2024-07-15T16:00:00Z') })
+    expect(sessionWindow(session('london'), '2024-01-15')).toEqual({ start: utc('2024-01-15T08:00:00Z'), end: utc('2024-01-15T17:00:00Z') })
+  })
+
+  it('follows New York DST, which changes on other dates than London', () => {
+    // 2024-03-20: New York already on EDT, London still on GMT
+    expect(sessionWindow(session('newyork'), '2024-03-20').start).toBe(utc('2024-03-20T12:00:00Z'))
+    expect(sessionWindow(session('london'), '2024-03-20').start).toBe(utc('2024-03-20T08:00:00Z'))
+    expect(sessionWindow(session('newyork'), '2024-12-02').start).toBe(utc('2024-12-02T13:00:00Z'))
+  })
+
+  it('wraps windows ending past midnight into the next day', () => {
+    const { start, end } = sessionWindow({ timeZone: 'UTC', start: '22:00', end: '02:00' }, '2024-01-15')
+    expect(end - start).toBe(4 * 3600)
+  })
+})
+
+describe('sessionStatus', () => {
+  const range = { start: 100, end: 200 }
+
+  it('is pending, forming, then ready as time passes', () => {
+    expect(sessionStatus(range, 50)).toBe('pending')
+    expect(sessionStatus(range, 150)).toBe('forming')
+    expect(sessionStatus(range, 200)).toBe('ready')
+  })
+})
+
+describe('sessionRanges', () => {
+  it('keeps the high/low of the bars inside each window', () => {
+    const start = utc('2024-01-15T08:00:00Z')
+    const bars = [
+      { time: start - 60, high: 9, low: 1 },
+      { time: start, high: 5, low: 3 },
+      { time: start + 60, high: 6, low: 4 },
+    ]
+    const [london] = sessionRanges(bars, [session('london')], '2024-01-15')
+    expect(london).toMatchObject({ high: 6, low: 3, range_size: 3, firstTime: start, lastTime: start + 60 })
+  })
+})
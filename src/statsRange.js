@@ -0,0 +1,89 @@
+import { ANALYTICS_TIMEZONE, zonedParts } from './analytics'
+
+// Date-range filtering of /api/trades/stats, done on each strategy's
+// pnl_history (one { date, pnl } entry per closed trade).
+
+export const STATS_RANGES = [
+  { key: 'all', label: 'Tout' },
+  { key: 'week', label: 'Cette semaine' },
+  { key: 'month', label: 'Ce mois' },
+  { key: 'ytd', label: 'YTD' },
+  { key: 'custom', label: 'Personnalisé' },
+]
+
+const shift = (day, n) => new Date(Date.parse(`${day}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10)
+
+// { from, to } as YYYY-MM-DD (inclusive, calendar of `timeZone`), empty for
+// open ends.
+export const rangeBounds = ({ preset, from, to }, timeZone = ANALYTICS_TIMEZONE, now = new Date()) => {
+  const today = zonedParts(now, timeZone).day
+  if (preset === 'week') {
+    const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7
+    return { from: shift(today, -weekday), to: today }
+  }
+  if (preset === 'month') return { from: `${today.slice(0, 7)}-01`, to: today }
+  if (preset === 'ytd') return { from: `${today.slice(0, 4)}-01-01`, to: today }
+  if (preset === 'custom') return { from: from || '', to: to || '' }
+  return { from: '', to: '' }
+}
+
+const inRange = (date, { from, to }) => {
+  const day = (date || '').slice(0, 10)
+  return (!from || day >= from) && (!to || day <= to)
+}
+
+// Trades whose day in `timeZone` falls inside the bounds; all of them when
+// the range is open.
+export const tradesInRange = (trades, bounds, timeZone = ANALYTICS_TIMEZONE) => {
+  if (!bounds.from && !bounds.to) return trades
+  return trades.filter(t => t.timestamp && inRange(zonedParts(t.timestamp, timeZone).day, bounds))
+}
+
+const round2 = (v) => Math.round(v * 100) / 100
+
+// Rebuilds a strategy's card numbers from the history entries inside the
+// range; with no bounds the backend's all-time figures are kept as is.
+export const strategyStatsInRange = (s, bounds) => {
+  if (!bounds.from && !bounds.to) return s
+  const history = (s.pnl_history || []).filter(item => inRange(item.date, bounds))
+  const pnls = history.map(item => Number(item.pnl))
+  const wins = pnls.filter(p => p > 0)
+  const losses = pnls.filter(p => p < 0)
+  const grossWin = wins.reduce((a, b) => a + b, 0)
+  const grossLoss = Math.abs(losses.reduce((a, b) => a + b, 0))
+  return {
+    ...s,
+    pnl_history: history,
+    closed_trades: pnls.length,
+    wins: wins.length,
+    losses: losses.length,
+    breakevens: pnls.length - wins.length - losses.length,
+    win_rate: pnls.length ? Math.round((wins.length / pnls.length) * 1000) / 10 : 0,
+    total_pnl: round2(pnls.reduce((a, b) => a + b, 0)),
+    avg_win: wins.length ? round2(grossWin / wins.length) : 0,
+    avg_loss: losses.length ? round2(-grossLoss / losses.length) : 0,
+    best_trade: pnls.length ? Math.max(...pnls) : 0,
+    worst_trade: pnls.length ? Math.min(...pnls) : 0,
+    profit_factor: grossLoss > 0 ? round2(grossWin / grossLoss) : null,
+  }
+}
+
+export const cumulativeHistory = (history) =>
+  (history || []).reduce((acc, item, i) => {
+    const prev = i > 0 ? acc[i - 1].cumul : 0
+    acc.push({ date: item.date, cumul: Math.round((prev + item.pnl) * 100) / 100 })
+    return acc
+  }, [])
+
+// One row per date with each strategy's running total, carried forward on
+// dates where it did not trade, so the lines can be overlaid on one chart.
+export const overlayCumulative = (entries) => {
+  const dates = [...new Set(entries.flatMap(([, s]) => (s.pnl_history || []).map(item => item.date)))].sort()
+  const totals = Object.fromEntries(entries.map(([name]) => [name, 0]))
+  return dates.map(date => {
+    entries.forEach(([name, s]) => {
+      (s.pnl_history || []).forEach(item => { if (item.date === date) totals[name] += Number(item.pnl) })
+    })
+    return { date, ...Object.fromEntries(entries.map(([name]) => [name, round2(totals[name])])) }
+  })
+}
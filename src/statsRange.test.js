@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import { rangeBounds, tradesInRange } from './statsRange'
+
+describe('rangeBounds', () => {
+  // Monday 2024-03-04 23:30 UTC: already Tuesday in Zurich, still Monday in New York
+  const now = new Date('2024-03-04T23:30:00Z')
+
+  it('takes "today" in the display time zone', () => {
+    expect(rangeBounds({ preset: 'week' }, 'Europe/Zurich', now)).toEqual({ from: '2024-03-04', to: '2024-03-05' })
+    expect(rangeBounds({ preset: 'week' }, 'America/New_York', now)).toEqual({ from: '2024-03-04', to: '2024-03-04' })
+  })
+
+  it('starts month and year ranges on the zoned day', () => {
+    const newYear = new Date('2023-12-31T23:30:00Z')
+    expect(rangeBounds({ preset: 'ytd' }, 'Europe/Zurich', newYear)).toEqual({ from: '2024-01-01', to: '2024-01-01' })
+    expect(rangeBounds({ preset: 'month' }, 'UTC', newYear)).toEqual({ from: '2023-12-01', to: '2023-12-31' })
+  })
+})
+
+describe('tradesInRange', () => {
+  const trades = [
+    { id: 'feb', timestamp: '2024-02-29T12:00:00Z' },
+    // 23:30 UTC on Feb 29 is already March 1 in Zurich
+    { id: 'late', timestamp: '2024-02-29T23:30:00Z' },
+    { id: 'mar', timestamp: '2024-03-04T09:00:00Z' },
+    { id: 'none' },
+  ]
+  const march = rangeBounds({ preset: 'month' }, 'Europe/Zurich', new Date('2024-03-05T10:00:00Z'))
+
+  it('keeps the trades whose day in the display zone is in the range', () => {
+    expect(tradesInRange(trades, march, 'Europe/Zurich').map(t => t.id)).toEqual(['late', 'mar'])
+    expect(tradesInRange(trades, march, 'UTC').map(t => t.id)).toEqual(['mar'])
+  })
+
+  it('keeps every trade for an open range', () => {
+    expect(tradesInRange(trades, { from: '', to: '' }, 'UTC')).toBe(trades)
+  })
+})
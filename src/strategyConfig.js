@@ -0,0 +1,102 @@
+// Strategy parameters editor. The backend describes each strategy's config
+// with a JSON Schema (as generated by pydantic: $defs/$ref, anyOf for
+// optional fields); the form, its validation and the diff are derived from it.
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/
+
+// Follows $ref and unwraps `anyOf: [X, { type: 'null' }]` into X + nullable.
+export const resolveSchema = (schema, root) => {
+  if (!schema) return {}
+  if (schema.$ref) {
+    const name = schema.$ref.split('/').pop()
+    const target = root.$defs?.[name] || root.definitions?.[name] || {}
+    const { $ref: _ref, ...rest } = schema
+    return resolveSchema({ ...target, ...rest }, root)
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const options = schema.anyOf.filter(s => s.type !== 'null')
+    if (options.length === 1) {
+      const { anyOf: _anyOf, ...rest } = schema
+      return { ...resolveSchema(options[0], root), ...rest, nullable: options.length < schema.anyOf.length }
+    }
+  }
+  return schema
+}
+
+export const fieldLabel = (key, schema) => schema.title || key.replace(/_/g, ' ')
+
+const isEmpty = (value) => value == null || value === ''
+
+// Returns { 'path.to.field': 'message' } for every invalid value.
+export const validateConfig = (schema, value, root = schema, path = '', errors = {}) => {
+  const s = resolveSchema(schema, root)
+  if (isEmpty(value)) return errors
+
+  if (s.enum && !s.enum.includes(value)) errors[path] = `Valeur non autorisée (${s.enum.join(', ')})`
+  else if (s.type === 'integer' || s.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors[path] = 'Nombre attendu'
+    else if (s.type === 'integer' && !Number.isInteger(value)) errors[path] = 'Nombre entier attendu'
+    else if (s.minimum != null && value < s.minimum) errors[path] = `Minimum ${s.minimum}`
+    else if (s.maximum != null && value > s.maximum) errors[path] = `Maximum ${s.maximum}`
+    else if (s.exclusiveMinimum != null && value <= s.exclusiveMinimum) errors[path] = `Doit être > ${s.exclusiveMinimum}`
+    else if (s.exclusiveMaximum != null && value >= s.exclusiveMaximum) errors[path] = `Doit être < ${s.exclusiveMaximum}`
+  } else if (s.type === 'string') {
+    if (s.format === 'time' && !TIME_RE.test(value)) errors[path] = 'Format HH:MM attendu'
+    else if (s.pattern && !new RegExp(s.pattern).test(value)) errors[path] = 'Format invalide'
+    else if (s.minLength != null && value.length < s.minLength) errors[path] = `Au moins ${s.minLength} caractères`
+  } else if (s.type === 'array') {
+    if (s.minItems != null && value.length < s.minItems) errors[path] = `Au moins ${s.minItems} élément(s)`
+    else if (s.maxItems != null && value.length > s.maxItems) errors[path] = `Au plus ${s.maxItems} élément(s)`
+    value.forEach((item, i) => validateConfig(s.items, item, root, `${path}.${i}`, errors))
+  } else if (s.type === 'object') {
+    Object.entries(s.properties || {}).forEach(([key, prop]) => {
+      const childPath = path ? `${path}.${key}` : key
+      if ((s.required || []).includes(key) && isEmpty(value[key]) && !resolveSchema(prop, root).nullable) {
+        errors[childPath] = 'Champ requis'
+      } else {
+        validateConfig(prop, value[key], root, childPath, errors)
+      }
+    })
+  }
+  return errors
+}
+
+export const getPath = (obj, path) => path.split('.').reduce((acc, key) => (acc == null ? acc : acc[key]), obj)
+
+export const setPath = (obj, path, value) => {
+  const [key, ...rest] = path.split('.')
+  const container = Array.isArray(obj) ? [...obj] : { ...(obj || {}) }
+  container[key] = rest.length ? setPath(container[key], rest.join('.'), value) : value
+  return container
+}
+
+export const defaultValue = (schema, root) => {
+  const s = resolveSchema(schema, root)
+  if (s.default !== undefined) return s.default
+  if (s.type === 'object') {
+    return Object.fromEntries(Object.entries(s.properties || {}).map(([key, prop]) => [key, defaultValue(prop, root)]))
+  }
+  if (s.type === 'array') return []
+  if (s.type === 'boolean') return false
+  return null
+}
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v)
+
+// Flat list of changed leaves; arrays of primitives are compared as a whole.
+export const configDiff = (before, after, path = '') => {
+  if (isPlainObject(before) || isPlainObject(after) || (Array.isArray(after) && after.some(isPlainObject))) {
+    const keys = Array.isArray(after) || Array.isArray(before)
+      ? [...Array(Math.max(before?.length || 0, after?.length || 0)).keys()].map(String)
+      : [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    return keys.flatMap(key => configDiff(before?.[key], after?.[key], path ? `${path}.${key}` : key))
+  }
+  return JSON.stringify(before ?? null) === JSON.stringify(after ?? null) ? [] : [{ path, before, after }]
+}
+
+export const formatConfigValue = (value) => {
+  if (value == null || value === '') return '—'
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '[]'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
@@ -0,0 +1,53 @@
+// Display time zone shared by every date in the dashboard, the chart axis and
+// exports. Chosen in the top bar and kept in this browser.
+
+export const TIME_ZONES = ['Europe/Zurich', 'UTC', 'Europe/London', 'America/New_York', 'Asia/Tokyo']
+export const DEFAULT_TIME_ZONE = 'Europe/Zurich'
+
+const STORAGE_KEY = 'display:timeZone'
+
+export const storedTimeZone = () => {
+  const tz = localStorage.getItem(STORAGE_KEY)
+  return TIME_ZONES.includes(tz) ? tz : DEFAULT_TIME_ZONE
+}
+
+export const storeTimeZone = (tz) => localStorage.setItem(STORAGE_KEY, tz)
+
+const DATE_STYLES = {
+  time: { hour: '2-digit', minute: '2-digit' },
+  timeSeconds: { hour: '2-digit', minute: '2-digit', second: '2-digit' },
+  short: { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' },
+  shortSeconds: { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' },
+  long: { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit' },
+  longSeconds: { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' },
+  date: { day: '2-digit', month: '2-digit', year: '2-digit' },
+  dayMonth: { day: '2-digit', month: '2-digit' },
+  month: { month: 'short' },
+  year: { year: 'numeric' },
+}
+
+export const formatDate = (value, timeZone, style) =>
+  new Date(value).toLocaleString('fr-CH', { ...DATE_STYLES[style], timeZone })
+
+const dayFormats = new Map()
+
+// YYYY-MM-DD of a timestamp in `timeZone`.
+export const dayInTimeZone = (value, timeZone) => {
+  if (!dayFormats.has(timeZone)) {
+    dayFormats.set(timeZone, new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }))
+  }
+  return dayFormats.get(timeZone).format(new Date(value))
+}
+
+// Long label ("lundi 3 mars") of a YYYY-MM-DD day, whatever the zone.
+export const formatDayLabel = (day) =>
+  new Date(`${day}T12:00:00Z`).toLocaleDateString('fr-CH', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' })
+
+// lightweight-charts options putting the time axis and crosshair label in
+// `timeZone`, indexed by TickMarkType (Year, Month, DayOfMonth, Time, TimeWithSeconds).
+const TICK_STYLES = ['year', 'month', 'dayMonth', 'time', 'timeSeconds']
+
+export const chartTimeOptions = (timeZone) => ({
+  localization: { locale: 'fr-CH', timeFormatter: (time) => formatDate(time * 1000, timeZone, 'long') },
+  tickMarkFormatter: (time, tickType) => formatDate(time * 1000, timeZone, TICK_STYLES[tickType] || 'time'),
+})
@@ -0,0 +1,115 @@
+import { useEffect, useRef, useState } from 'react'
+
+const MAX_BACKOFF_MS = 30000
+const UNSUPPORTED_STREAM = [404, 405, 501]
+
+// Keeps a panel fed from an SSE stream, falling back to polling while the
+// stream is down (or for good if the backend has no stream endpoint).
+// Everything stops while the tab is hidden and resumes when it is shown again.
+// Changing `source` (any string identifying what is fed) restarts the feed.
+//
+// status: 'idle' | 'connecting' | 'live' | 'polling' | 'error' | 'paused'
+export const useLiveFeed = ({ enabled, source, stream, poll, intervalMs = 5000, onData }) => {
+  const [status, setStatus] = useState('idle')
+  const [lastUpdate, setLastUpdate] = useState(null)
+  const handlers = useRef({ stream, poll, onData })
+
+  useEffect(() => {
+    handlers.current = { stream, poll, onData }
+  })
+
+  useEffect(() => {
+    if (!enabled) return
+
+    let generation = 0
+    let controller = null
+    let pollTimer = null
+    let reconnectTimer = null
+    let attempts = 0
+    let pollDelay = intervalMs
+    let streamSupported = Boolean(handlers.current.stream)
+
+    const receive = (gen, data) => {
+      if (gen !== generation) return
+      handlers.current.onData(data)
+      setLastUpdate(new Date())
+    }
+
+    const runPoll = async (gen) => {
+      try {
+        receive(gen, await handlers.current.poll())
+        pollDelay = intervalMs
+        if (gen === generation && !controller) setStatus('polling')
+      } catch {
+        pollDelay = Math.min(pollDelay * 2, MAX_BACKOFF_MS)
+        if (gen === generation) setStatus('error')
+      }
+      if (gen !== generation || controller) return
+      clearTimeout(pollTimer)
+      pollTimer = setTimeout(() => runPoll(gen), pollDelay)
+    }
+
+    const connect = async (gen) => {
+      controller = new AbortController()
+      const { signal } = controller
+      try {
+        await handlers.current.stream({
+          signal,
+          onMessage: (data) => {
+            attempts = 0
+            clearTimeout(pollTimer)
+            setStatus('live')
+            receive(gen, data)
+          },
+        })
+      } catch (err) {
+        if (signal.aborted) return
+        if (UNSUPPORTED_STREAM.includes(err.status)) streamSupported = false
+      }
+      if (signal.aborted || gen !== generation) return
+      controller = null
+      runPoll(gen)
+      if (streamSupported) {
+        const delay = Math.min(1000 * 2 ** attempts, MAX_BACKOFF_MS)
+        attempts += 1
+        reconnectTimer = setTimeout(() => connect(gen), delay)
+      }
+    }
+
+    const start = () => {
+      generation += 1
+      setStatus('connecting')
+      if (streamSupported) connect(generation)
+      else runPoll(generation)
+    }
+
+    const stop = () => {
+      generation += 1
+      controller?.abort()
+      controller = null
+      clearTimeout(pollTimer)
+      clearTimeout(reconnectTimer)
+    }
+
+    const onVisibility = () => {
+      if (document.hidden) {
+        stop()
+        setStatus('paused')
+      } else {
+        start()
+      }
+    }
+
+    if (document.hidden) onVisibility()
+    else start()
+    document.addEventListener('visibilitychange', onVisibility)
+
+    return () => {
+      stop()
+      document.removeEventListener('visibilitychange', onVisibility)
+      setStatus('idle')
+    }
+  }, [enabled, source, intervalMs])
+
+  return { status, lastUpdate }
+}